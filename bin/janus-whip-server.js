@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+'use strict';
+
+/*
+ * Simple WHIP server
+ *
+ * Author:  Lorenzo Miniero <lorenzo@meetecho.com>
+ * License: ISC
+ *
+ * Command line entry point: runs a WHIP server out of a JSON or YAML
+ * configuration file, reloading the endpoints on SIGHUP
+ *
+ */
+
+// Dependencies
+import { parseArgs } from 'util';
+
+import { JanusWhipCli } from '../src/cli.js';
+
+const usage = 'Usage: janus-whip-server [--config] <file.json|file.yaml>';
+
+let args = null;
+try {
+	args = parseArgs({
+		options: {
+			config: { type: 'string', short: 'c' },
+			help: { type: 'boolean', short: 'h' }
+		},
+		allowPositionals: true
+	});
+} catch(err) {
+	console.error(err.message);
+	console.error(usage);
+	process.exit(1);
+}
+if(args.values.help) {
+	console.log(usage);
+	process.exit(0);
+}
+let file = args.values.config ? args.values.config : args.positionals[0];
+if(!file) {
+	console.error(usage);
+	process.exit(1);
+}
+
+(async function main() {
+	let cli = new JanusWhipCli({ file: file });
+	let server = null;
+	try {
+		server = await cli.start();
+	} catch(err) {
+		console.error(err.message);
+		process.exit(1);
+	}
+
+	// Reload the endpoints when asked to: if the new configuration is
+	// invalid, we keep on using the previous one
+	let reloading = false;
+	process.on('SIGHUP', async () => {
+		if(reloading || !cli.server)
+			return;
+		reloading = true;
+		server.logger.info('Reloading configuration file', file);
+		try {
+			let { added, updated, removed, conflicts } = await cli.reload();
+			server.logger.info('Configuration reloaded, endpoints added:', added.length,
+				'updated:', updated.length, 'removed:', removed.length);
+			for(let id of conflicts)
+				server.logger.warn('Endpoint', id, 'already exists and wasn\'t created from the configuration file, skipping it');
+		} catch(err) {
+			server.logger.err('Error reloading configuration, keeping the previous one:', err.message);
+		}
+		reloading = false;
+	});
+
+	// Shut down gracefully on SIGINT and SIGTERM
+	let stop = async () => {
+		if(!cli.server)
+			return;
+		server.logger.info('Shutting down');
+		await cli.stop().catch(err => server.logger.err('Error shutting down:', err.message));
+		process.exit(0);
+	};
+	process.on('SIGINT', stop);
+	process.on('SIGTERM', stop);
+}());
@@ -5,7 +5,9 @@ export default [
 	{
 		files: [
 			'src/**/*.js',
-			'examples/**/*.js'
+			'bin/**/*.js',
+			'examples/**/*.js',
+			'test/**/*.js'
 		],
 		languageOptions: {
 			ecmaVersion: 'latest',
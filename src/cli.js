@@ -0,0 +1,178 @@
+'use strict';
+
+/*
+ * Simple WHIP server
+ *
+ * Author:  Lorenzo Miniero <lorenzo@meetecho.com>
+ * License: ISC
+ *
+ * Standalone WHIP server, configured via a JSON or YAML file
+ *
+ */
+
+// Dependencies
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+import { JanusWhipServer } from './whip.js';
+
+// Settings that can be provided in the configuration file: anything
+// else is most likely a typo, so we report it instead of ignoring it
+const serverSettings = [ 'janus', 'rest', 'allowTrickle', 'strictETags', 'iceServers', 'jwt', 'sdpPolicy',
+	'webhooks', 'rateLimit', 'debug', 'logFormat', 'endpoints' ];
+const endpointSettings = [ 'id', 'plugin', 'room', 'secret', 'adminKey', 'pin', 'label', 'token', 'jwt', 'iceServers',
+	'recipient', 'recipients', 'record', 'recordMix', 'filename', 'createRoom', 'destroyRoom', 'maxSessions',
+	'maxDuration', 'idleTimeout', 'sdpPolicy', 'pluginOptions', 'webhooks' ];
+
+// Runs a WHIP server out of a configuration file: the file contains the
+// same settings JanusWhipServer expects, plus a static list of endpoints
+class JanusWhipCli {
+
+	// Constructor
+	constructor({ file, logger }) {
+		if(!file || typeof file !== 'string')
+			throw new Error('Invalid arguments, missing configuration file');
+		this.file = file;
+		this.logger = logger;
+		this.server = null;
+		// Endpoints we created out of the configuration file, and the settings
+		// we used, indexed by ID: those created via the Admin API or the library
+		// are left alone, and reloads skip the entries of the file that use their ID
+		this.endpoints = new Map();
+	}
+
+	async start() {
+		if(this.server)
+			throw new Error('WHIP server already started');
+		let { settings, endpoints } = this.readConfig();
+		if(this.logger)
+			settings.logger = this.logger;
+		let server = new JanusWhipServer(settings);
+		// Create the endpoints before starting, so that any error in their
+		// settings is reported before we connect to Janus and bind the port
+		this._checkEndpoints(server, endpoints);
+		for(let options of endpoints) {
+			let endpoint = server.createEndpoint(options);
+			this.endpoints.set(options.id, { options: options, endpoint: endpoint });
+		}
+		await server.start();
+		this.server = server;
+		return server;
+	}
+
+	// Read the configuration file again, and add, update or remove the endpoints
+	// that changed: other settings can only be changed by restarting the server
+	async reload() {
+		if(!this.server)
+			throw new Error('WHIP server not started');
+		let { endpoints } = this.readConfig();
+		this._checkEndpoints(this.server, endpoints);
+		let ids = new Set(endpoints.map(options => options.id));
+		let summary = { added: [], updated: [], removed: [], conflicts: [] };
+		for(let [ id, previous ] of Array.from(this.endpoints.entries())) {
+			if(ids.has(id))
+				continue;
+			this.endpoints.delete(id);
+			if(this.server.getEndpoint({ id: id }) === previous.endpoint) {
+				await this.server.destroyEndpoint({ id: id });
+				summary.removed.push(id);
+			}
+		}
+		for(let options of endpoints) {
+			let previous = this.endpoints.get(options.id);
+			let endpoint = this.server.getEndpoint({ id: options.id });
+			if(endpoint && (!previous || previous.endpoint !== endpoint)) {
+				// Not ours: we don't touch it, and don't create ours either
+				this.endpoints.delete(options.id);
+				summary.conflicts.push(options.id);
+				continue;
+			}
+			if(endpoint && JSON.stringify(previous.options) === JSON.stringify(options))
+				continue;
+			if(endpoint && endpoint.plugin !== (options.plugin || 'videoroom')) {
+				// The plugin changed: start from scratch
+				await this.server.destroyEndpoint({ id: options.id });
+				endpoint = null;
+			}
+			if(endpoint) {
+				// Settings that are not in the file anymore go back to their defaults
+				let changes = {};
+				for(let name of Object.keys(previous.options))
+					changes[name] = undefined;
+				await this.server.updateEndpoint(Object.assign(changes, options));
+				summary.updated.push(options.id);
+			} else {
+				endpoint = this.server.createEndpoint(options);
+				summary.added.push(options.id);
+			}
+			this.endpoints.set(options.id, { options: options, endpoint: endpoint });
+		}
+		return summary;
+	}
+
+	async stop() {
+		if(!this.server)
+			throw new Error('WHIP server not started');
+		let server = this.server;
+		this.server = null;
+		this.endpoints.clear();
+		await server.destroy();
+	}
+
+	// Parse the configuration file, depending on its extension
+	readConfig() {
+		let config = null;
+		try {
+			let text = fs.readFileSync(this.file, 'utf8');
+			let extension = path.extname(this.file).toLowerCase();
+			config = (extension === '.yaml' || extension === '.yml') ? yaml.load(text) : JSON.parse(text);
+		} catch(err) {
+			throw new Error('Error reading configuration file ' + this.file + ': ' + err.message);
+		}
+		if(!config || typeof config !== 'object' || Array.isArray(config))
+			throw new Error('Invalid configuration file ' + this.file + ', not an object');
+		for(let name of Object.keys(config)) {
+			if(serverSettings.indexOf(name) === -1)
+				throw new Error('Invalid configuration file ' + this.file + ', unknown setting "' + name + '"');
+		}
+		let { endpoints, ...settings } = config;
+		// An empty list in YAML is null
+		if(endpoints === undefined || endpoints === null)
+			endpoints = [];
+		if(!Array.isArray(endpoints))
+			throw new Error('Invalid configuration file ' + this.file + ', "endpoints" must be an array');
+		let ids = new Set();
+		endpoints.forEach((options, index) => {
+			if(!options || typeof options !== 'object' || Array.isArray(options))
+				throw new Error('Invalid configuration file ' + this.file + ', endpoints[' + index + '] is not an object');
+			if(typeof options.id !== 'string' || !options.id)
+				throw new Error('Invalid configuration file ' + this.file + ', missing "id" in endpoints[' + index + ']');
+			for(let name of Object.keys(options)) {
+				if(endpointSettings.indexOf(name) === -1)
+					throw new Error('Invalid configuration file ' + this.file + ', unknown setting "' + name + '" in endpoint "' + options.id + '"');
+			}
+			if(ids.has(options.id))
+				throw new Error('Invalid configuration file ' + this.file + ', duplicate endpoint "' + options.id + '"');
+			ids.add(options.id);
+		});
+		return { settings, endpoints };
+	}
+
+	// Validate the settings of all the endpoints, without creating them
+	_checkEndpoints(server, endpoints) {
+		for(let options of endpoints) {
+			try {
+				let { id: _id, ...settings } = options;
+				server._parseEndpointOptions(settings);
+			} catch(err) {
+				throw new Error('Invalid configuration file ' + this.file + ', endpoint "' + options.id + '": ' + err.message);
+			}
+		}
+	}
+}
+
+// Exports
+export {
+	JanusWhipCli
+};
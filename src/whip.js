@@ -13,9 +13,11 @@
 // Dependencies
 import express from 'express';
 import cors from 'cors';
+import crypto from 'crypto';
 import fs from 'fs';
 import http from 'http';
 import https from 'https';
+import util from 'util';
 
 import Janode from 'janode';
 import VideoRoomPlugin from 'janode/plugins/videoroom';
@@ -24,52 +26,169 @@ import RecordPlayPlugin from 'janode/plugins/recordplay';
 import JanusNdiPlugin from 'janode-ndi';
 import { EventEmitter } from 'events';
 
+// Problem types of error responses (RFC 9457): the type URI of each is the
+// prefix followed by the name, and none of them is going to change meaning
+const problemTypePrefix = 'tag:meetecho.com,2025:whip:';
+const problemTypes = {
+	'endpoint-not-found': { status: 404, title: 'Invalid endpoint ID' },
+	'resource-not-found': { status: 404, title: 'Invalid resource ID' },
+	'forwarder-not-found': { status: 404, title: 'Invalid forwarder ID' },
+	'method-not-allowed': { status: 405, title: 'Method not allowed' },
+	'unauthorized': { status: 403, title: 'Unauthorized' },
+	'endpoint-in-use': { status: 409, title: 'Endpoint ID already in use' },
+	'endpoint-exists': { status: 409, title: 'Endpoint already exists' },
+	'session-not-ready': { status: 409, title: 'Endpoint ID not published' },
+	'precondition-failed': { status: 412, title: 'Precondition failed' },
+	'unsupported-media-type': { status: 415, title: 'Unsupported content type' },
+	'invalid-offer': { status: 400, title: 'Invalid SDP offer' },
+	'offer-rejected': { status: 422, title: 'SDP offer rejected' },
+	'invalid-settings': { status: 422, title: 'Invalid settings' },
+	'too-many-requests': { status: 429, title: 'Too many requests' },
+	'room-not-found': { status: 404, title: 'Room not found' },
+	'room-unauthorized': { status: 403, title: 'Not authorized to join the room' },
+	'room-full': { status: 409, title: 'Room full' },
+	'publisher-conflict': { status: 409, title: 'Publisher already in the room' },
+	'internal-error': { status: 500, title: 'Internal server error' },
+	'janus-error': { status: 502, title: 'Janus error' },
+	'janus-unavailable': { status: 503, title: 'Janus unavailable' },
+	'shutting-down': { status: 503, title: 'Server shutting down' }
+};
+
 // WHIP server class
 class JanusWhipServer extends EventEmitter {
 
 	// Constructor
-	constructor({ janus, rest, allowTrickle = true, strictETags = false, iceServers = [], debug }) {
+	constructor({ janus, rest, allowTrickle = true, strictETags = false, iceServers = [], jwt, sdpPolicy, webhooks, rateLimit, resolveEndpoint, debug, logger, logFormat = 'text' }) {
 		super();
 		// Parse configuration
 		if(!janus || typeof janus !== 'object')
 			throw new Error('Invalid configuration, missing parameter "janus" or not an object');
-		if(!janus.address)
-			throw new Error('Invalid configuration, missing parameter "address" in "janus"');
+		if(Array.isArray(janus))
+			janus = { backends: janus };
+		let backends = janus.backends ? janus.backends : [ { address: janus.address, admin: janus.admin } ];
+		if(!Array.isArray(backends) || backends.length === 0)
+			throw new Error('Invalid configuration, "backends" in "janus" must be a non-empty array');
+		for(let backend of backends) {
+			if(!backend || !backend.address)
+				throw new Error('Invalid configuration, missing parameter "address" in "janus"');
+			if(backend.admin && (typeof backend.admin !== 'object' || !backend.admin.address))
+				throw new Error('Invalid configuration, missing parameter "address" in the Janus "admin" settings');
+		}
+		// Backends are identified by their ID, or their address if missing
+		let ids = backends.map(b => b.id ? b.id : b.address);
+		let duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+		if(duplicate)
+			throw new Error('Invalid configuration, duplicate Janus backend "' + duplicate + '"');
+		const policies = [ 'round-robin', 'least-sessions' ];
+		if(janus.policy && typeof janus.policy !== 'function' && policies.indexOf(janus.policy) === -1)
+			throw new Error('Invalid configuration, unsupported "policy" in "janus"');
 		if(!rest || typeof rest !== 'object')
 			throw new Error('Invalid configuration, missing parameter "rest" or not an object');
 		if(!rest.basePath)
 			throw new Error('Invalid configuration, missing parameter "basePath" in "rest"');
 		if(!rest.port && !rest.app)
 			throw new Error('Invalid configuration, at least one of "port" and "app" should be set in "rest"');
+		if(rest.https && (typeof rest.https !== 'object' || !rest.https.cert || !rest.https.key))
+			throw new Error('Invalid configuration, missing parameter "cert" or "key" in "rest.https"');
+		if(rest.admin && (typeof rest.admin !== 'object' || !rest.admin.token))
+			throw new Error('Invalid configuration, missing parameter "token" in "rest.admin"');
+		if(rest.metrics && rest.metrics !== true && typeof rest.metrics !== 'object')
+			throw new Error('Invalid configuration, "metrics" in "rest" must be true or an object');
+		if(resolveEndpoint && typeof resolveEndpoint !== 'function')
+			throw new Error('Invalid configuration, "resolveEndpoint" must be a function');
 		const debugLevels = [ 'err', 'warn', 'info', 'verb', 'debug' ];
 		if(debug && debugLevels.indexOf(debug) === -1)
 			throw new Error('Invalid configuration, unsupported "debug" level');
+		if(logger && [ 'error', 'warn', 'info', 'debug' ].find(level => typeof logger[level] !== 'function'))
+			throw new Error('Invalid configuration, "logger" must implement error, warn, info and debug');
+		if(logFormat !== 'text' && logFormat !== 'json')
+			throw new Error('Invalid configuration, unsupported "logFormat"');
 		this.config = {
 			janus: {
-				address: janus.address
+				backends: backends.map(b => ({
+					id: b.id ? b.id : b.address,
+					address: b.address,
+					admin: b.admin ? { address: b.admin.address, secret: b.admin.secret } : null
+				})),
+				policy: janus.policy ? janus.policy : 'round-robin'
 			},
 			rest: {
 				port: rest.port,
 				basePath: rest.basePath,
-				app: rest.app
+				app: rest.app,
+				https: rest.https ? { cert: rest.https.cert, key: rest.https.key, passphrase: rest.https.passphrase } : null,
+				admin: rest.admin ? { token: rest.admin.token } : null,
+				metrics: rest.metrics ? {
+					path: rest.metrics.path ? rest.metrics.path : '/metrics',
+					token: rest.metrics.token
+				} : null
 			},
 			allowTrickle: (allowTrickle === true),
 			strictETags: (strictETags === true),
 			iceServers: Array.isArray(iceServers) ? iceServers : [iceServers]
 		};
+		this._checkIceServers(this.config.iceServers);
+		// Global JWT settings, to be used by endpoints configured with "jwt: true"
+		this.jwt = jwt ? new JanusWhipJwt(jwt) : null;
+		// Global SDP offer policy, for endpoints that don't have their own
+		this.sdpPolicy = sdpPolicy ? new JanusWhipSdpPolicy(sdpPolicy) : null;
+		// Webhooks to notify about all WHIP sessions
+		this.webhooks = this._parseWebhooks(webhooks);
+		// Rate limits and lockouts to enforce on WHIP requests, if any
+		this.rateLimiter = rateLimit ? new JanusWhipRateLimiter(rateLimit) : null;
+		// Callback to create endpoints on demand, when an unknown ID is used
+		this.resolveEndpoint = resolveEndpoint;
+		// Endpoint resolutions in progress, indexed by endpoint ID
+		this.resolving = new Map();
+
+		// Plugins we can publish to
+		this.plugins = new Map();
+		this.plugins.set('videoroom', new JanusWhipVideoRoomPlugin());
+		this.plugins.set('audiobridge', new JanusWhipAudioBridgePlugin());
+		this.plugins.set('recordplay', new JanusWhipRecordPlayPlugin());
+		this.plugins.set('ndi', new JanusWhipNdiPlugin());
 
 		// Resources
-		this.janus = null;
+		this.logger = new JanusWhipLogger({
+			prefix: '[WHIP] ',
+			level: debug ? debugLevels.indexOf(debug) : 2,
+			logger: logger,
+			format: logFormat
+		});
+		this.backends = this.config.janus.backends.map(b => new JanusWhipBackend(b));
+		for(let backend of this.backends)
+			backend.logger = this.logger.child({ backend: backend.id });
+		this.nextBackend = 0;
 		this.endpoints = new Map();
 		this.resources = new Map();
-		this.logger = new JanusWhipLogger({ prefix: '[WHIP] ', level: debug ? debugLevels.indexOf(debug) : 2 });
+		this.metrics = this.config.rest.metrics ? new JanusWhipMetrics(this) : null;
+		// Requests being served, and whether we're shutting down
+		this.pendingRequests = 0;
+		this.draining = false;
+		// Pending attempts to connect to Janus backends again
+		this.reconnectTimers = new Set();
+		// Seconds clients should wait before retrying when we're unavailable
+		this.retryAfter = 5;
 	}
 
 	async start() {
 		if(this.started)
 			throw new Error('WHIP server already started');
-		// Connect to Janus
-		await this._connectToJanus();
+		// Connect to all Janus backends: we only wait for the first one
+		// to be available, the others will be added to the pool when ready
+		let attempts = this.backends.map(backend => this._connectToJanus(backend));
+		try {
+			await Promise.any(attempts);
+		} catch(err) {
+			throw err.errors[0];
+		}
+		// Backends we couldn't connect to are retried, as when we lose them
+		this.backends.forEach((backend, index) => {
+			attempts[index].catch(err => {
+				backend.logger.err('Error connecting to Janus (' + backend.id + '):', err);
+				this._reconnectToJanus(backend);
+			});
+		});
 		// WHIP REST API
 		if(!this.config.rest.app) {
 			// Spawn a new app and server
@@ -98,13 +217,92 @@ class JanusWhipServer extends EventEmitter {
 		return this;
 	}
 
-	async destroy() {
+	// Shut down gracefully: new publishers are rejected with a 503, requests
+	// being served are given up to timeout seconds to complete, and then all
+	// active sessions are torn down before closing the HTTP server and Janus
+	async destroy({ timeout = 10, retryAfter = 5 } = {}) {
 		if(!this.started)
 			throw new Error('WHIP server not started');
-		if(this.janus)
-			await this.janus.close();
-		if(this.server)
-			this.server.close();
+		if(this.draining)
+			throw new Error('WHIP server already shutting down');
+		if(typeof timeout !== 'number' || timeout < 0)
+			throw new Error('Invalid timeout (not a positive number)');
+		if(!Number.isInteger(retryAfter) || retryAfter < 0)
+			throw new Error('Invalid retryAfter (not a positive integer)');
+		let deadline = Date.now() + timeout * 1000;
+		this.draining = true;
+		this.retryAfter = retryAfter;
+		this.logger.info('Shutting down WHIP server');
+		// Wait for the requests we're serving, if any
+		await this._waitForRequests(deadline);
+		if(this.pendingRequests > 0)
+			this.logger.warn('Shutting down with ' + this.pendingRequests + ' requests still pending');
+		// Get rid of all the Janus publishers
+		for(let endpoint of this.endpoints.values()) {
+			for(let session of Array.from(endpoint.sessions.values()))
+				await this._teardownSession(endpoint, session, { reason: 'shutdown' });
+		}
+		// Stop trying to reconnect to Janus backends
+		for(let timer of this.reconnectTimers)
+			clearTimeout(timer);
+		this.reconnectTimers.clear();
+		// Stop retrying webhook notifications that are still pending
+		for(let webhook of this.webhooks)
+			webhook.cancel();
+		this.endpoints.forEach(function(endpoint) {
+			for(let webhook of endpoint.webhooks)
+				webhook.cancel();
+		});
+		for(let backend of this.backends) {
+			if(backend.connection)
+				await backend.connection.close().catch(_err => {});
+			backend.connection = null;
+			backend.janus = null;
+			if(backend.adminConnection) {
+				let connection = await backend.adminConnection.catch(_err => null);
+				if(connection)
+					await connection.close().catch(_err => {});
+				backend.adminConnection = null;
+			}
+		}
+		if(this.rateLimiter)
+			this.rateLimiter.close();
+		if(this.server) {
+			// Keep-alive connections would prevent the server from closing:
+			// the ones still busy are closed anyway when the deadline expires
+			let closed = new Promise(resolve => this.server.close(() => resolve()));
+			this.server.closeIdleConnections();
+			let timer = null;
+			let expired = new Promise(resolve => {
+				timer = setTimeout(resolve, Math.max(deadline - Date.now(), 0));
+			});
+			if(await Promise.race([ closed.then(() => false), expired.then(() => true) ])) {
+				this.server.closeAllConnections();
+				await closed;
+			}
+			clearTimeout(timer);
+			this.server = null;
+		}
+		this.started = false;
+		this.draining = false;
+		this.logger.info('WHIP server stopped');
+	}
+
+	// Wait until there are no pending requests, or the deadline expires
+	async _waitForRequests(deadline) {
+		if(this.pendingRequests === 0)
+			return;
+		await new Promise(resolve => {
+			// Only remove our own listener, the application may have its own
+			let timer = null;
+			let done = () => {
+				clearTimeout(timer);
+				this.off('requests-drained', done);
+				resolve();
+			};
+			timer = setTimeout(done, Math.max(deadline - Date.now(), 0));
+			this.once('requests-drained', done);
+		});
 	}
 
 	generateRandomString(len) {
@@ -117,17 +315,138 @@ class JanusWhipServer extends EventEmitter {
 		return randomString;
 	}
 
-	createEndpoint({ id, plugin, room, secret, adminKey, pin, label, token, iceServers, recipient, recipients, customize }) {
-		if(!id || (plugin !== 'ndi' && plugin !== 'recordplay' && !room && !customize))
+	registerPlugin(name, adapter) {
+		if(!name || typeof name !== 'string')
+			throw new Error('Invalid plugin name');
+		if(!(adapter instanceof JanusWhipPlugin))
+			throw new Error('Invalid plugin adapter (not a JanusWhipPlugin instance)');
+		if(this.plugins.has(name))
+			throw new Error('Plugin already registered');
+		this.plugins.set(name, adapter);
+		this.logger.info('Registered plugin:', name);
+	}
+
+	createEndpoint({ id, plugin, room, secret, adminKey, pin, label, token, jwt, iceServers, recipient, recipients, record, recordMix, filename, createRoom, destroyRoom, maxSessions, maxDuration, idleTimeout, sdpPolicy, pluginOptions, webhooks, authorize, customize }) {
+		if(!id)
 			throw new Error('Invalid arguments');
+		if(this.endpoints.has(id))
+			throw new Error('Endpoint already exists');
+		let options = this._parseEndpointOptions({ plugin, room, secret, adminKey, pin, label,
+			token, jwt, iceServers, recipient, recipients, record, recordMix, filename, createRoom, destroyRoom, maxSessions, maxDuration, idleTimeout, sdpPolicy, pluginOptions, webhooks, authorize, customize });
+		options.id = id;
+		options.logger = this.logger.child({ endpoint: id, plugin: options.plugin });
+		options.server = this;
+		let endpoint = new JanusWhipEndpoint(options);
+		endpoint.logger.info('Created new WHIP endpoint');
+		this.endpoints.set(id, endpoint);
+		return endpoint;
+	}
+
+	// Update the settings of an existing endpoint: changes are validated as in
+	// createEndpoint, and apply to all requests from now on; if updateSessions
+	// is true, label and room changes are applied to active sessions as well
+	async updateEndpoint({ id, updateSessions = false, ...changes }) {
+		let endpoint = this.endpoints.get(id);
+		if(!id || !endpoint)
+			throw new Error('Invalid endpoint ID');
+		if(changes.plugin && changes.plugin !== endpoint.plugin)
+			throw new Error('Can\'t change the plugin of an endpoint');
+		let current = {
+			plugin: endpoint.plugin,
+			room: endpoint.room,
+			secret: endpoint.secret,
+			adminKey: endpoint.adminKey,
+			pin: endpoint.pin,
+			label: endpoint.label,
+			token: endpoint.token,
+			jwt: endpoint.jwt,
+			iceServers: endpoint.iceServers,
+			recipients: endpoint.recipients,
+			record: endpoint.record,
+			recordMix: endpoint.recordMix,
+			filename: endpoint.filename,
+			createRoom: endpoint.createRoom,
+			destroyRoom: endpoint.destroyRoom,
+			maxSessions: endpoint.maxSessions,
+			maxDuration: endpoint.maxDuration,
+			idleTimeout: endpoint.idleTimeout,
+			sdpPolicy: endpoint.sdpPolicy,
+			pluginOptions: endpoint.pluginOptions,
+			webhooks: endpoint.webhooks,
+			authorize: endpoint.authorize,
+			customize: endpoint.customize
+		};
+		if(changes.recipient)
+			delete current.recipients;
+		// Switching from a static token to a JWT (or viceversa) replaces the old one
+		if(changes.token)
+			delete current.jwt;
+		if(changes.jwt)
+			delete current.token;
+		let options = this._parseEndpointOptions(Object.assign(current, changes));
+		// Sessions only follow the endpoint settings if there's no customize callback
+		let adapter = this.plugins.get(endpoint.plugin);
+		let sessions = [];
+		if(updateSessions && !options.customize)
+			sessions = Array.from(endpoint.sessions.values()).filter(s => s.enabled);
+		let sessionChanges = {};
+		if(options.room !== endpoint.room)
+			sessionChanges.room = options.room;
+		if(options.label !== endpoint.label)
+			sessionChanges.label = options.label;
+		if(sessionChanges.room !== undefined && sessions.length > 0 && !adapter.roomChanges)
+			throw new Error('Moving active sessions to a different room not supported by plugin ' + endpoint.plugin);
+		// Webhooks that were replaced must not retry notifications anymore
+		for(let webhook of endpoint.webhooks) {
+			if(options.webhooks.indexOf(webhook) === -1)
+				webhook.cancel();
+		}
+		Object.assign(endpoint, options);
+		endpoint.logger.info('Updated WHIP endpoint');
+		if(sessionChanges.room === undefined && sessionChanges.label === undefined)
+			return endpoint;
+		for(let session of sessions) {
+			try {
+				await adapter.update({ server: this, endpoint: endpoint, session: session, handle: session.handle, settings: session.settings, changes: sessionChanges });
+				if(sessionChanges.room !== undefined) {
+					session.room = sessionChanges.room;
+					session.logger.addFields({ room: session.room });
+				}
+				if(sessionChanges.label !== undefined)
+					session.label = sessionChanges.label;
+				session.logger.info('Updated WHIP session');
+			} catch(err) {
+				session.logger.warn('Error updating session:', err);
+			}
+		}
+		return endpoint;
+	}
+
+	// Validate and normalize the settings of an endpoint
+	_parseEndpointOptions({ plugin, room, secret, adminKey, pin, label, token, jwt, iceServers, recipient, recipients, record, recordMix, filename, createRoom, destroyRoom, maxSessions, maxDuration, idleTimeout, sdpPolicy, pluginOptions, webhooks, authorize, customize }) {
 		if(!plugin)
 			plugin = 'videoroom';
-		if(plugin && plugin !== 'videoroom' && plugin !== 'audiobridge' && plugin !== 'recordplay' && plugin !== 'ndi')
+		let adapter = this.plugins.get(plugin);
+		if(!adapter)
 			throw new Error('Unsupported plugin');
-		if(this.endpoints.has(id))
-			throw new Error('Endpoint already exists');
 		if(customize && typeof customize !== 'function')
 			throw new Error('Invalid customize function');
+		if(authorize && typeof authorize !== 'function')
+			throw new Error('Invalid authorize function');
+		if(token && jwt)
+			throw new Error('Can\'t provide both token and jwt');
+		if(jwt === true) {
+			if(!this.jwt)
+				throw new Error('No global JWT settings available');
+			jwt = this.jwt;
+		} else if(jwt && !(jwt instanceof JanusWhipJwt)) {
+			jwt = new JanusWhipJwt(jwt);
+		}
+		if(iceServers) {
+			if(!Array.isArray(iceServers))
+				throw new Error('Invalid iceServers (not an array)');
+			this._checkIceServers(iceServers);
+		}
 		if(recipient && recipients)
 			throw new Error('Can\'t provide both recipient and recipients');
 		if(recipient)
@@ -139,9 +458,44 @@ class JanusWhipServer extends EventEmitter {
 				if(Object.prototype.toString.call(r) !== '[object Object]')
 					throw new Error('Invalid recipient (not an object)');
 			}
+			if(recipients.length > 0 && !adapter.forwarding)
+				throw new Error('RTP forwarding not supported by plugin ' + plugin);
 		}
-		let endpoint = new JanusWhipEndpoint({
-			id: id,
+		if(record !== undefined && record !== null && typeof record !== 'boolean')
+			throw new Error('Invalid record (not a boolean)');
+		if(recordMix !== undefined && recordMix !== null && typeof recordMix !== 'boolean')
+			throw new Error('Invalid recordMix (not a boolean)');
+		if(filename !== undefined && filename !== null && (typeof filename !== 'string' || !filename))
+			throw new Error('Invalid filename (not a string)');
+		if((record || recordMix) && !adapter.recording)
+			throw new Error('Recording not supported by plugin ' + plugin);
+		if(createRoom !== undefined && createRoom !== null && typeof createRoom !== 'boolean' &&
+				Object.prototype.toString.call(createRoom) !== '[object Object]')
+			throw new Error('Invalid createRoom (not a boolean or an object)');
+		if(createRoom && !adapter.roomCreation)
+			throw new Error('Room creation not supported by plugin ' + plugin);
+		if(destroyRoom && [ 'last-session', 'endpoint' ].indexOf(destroyRoom) === -1)
+			throw new Error('Invalid destroyRoom (not "last-session" or "endpoint")');
+		if(destroyRoom && !createRoom)
+			throw new Error('Can\'t destroy rooms that are not created automatically');
+		if(maxSessions === undefined || maxSessions === null)
+			maxSessions = 1;
+		if(!Number.isInteger(maxSessions) || maxSessions < 1)
+			throw new Error('Invalid maxSessions (not a positive integer)');
+		if(maxSessions > 1 && !adapter.multipleSessions)
+			throw new Error('Multiple sessions not supported by plugin ' + plugin);
+		if(maxDuration !== undefined && maxDuration !== null && (typeof maxDuration !== 'number' || maxDuration <= 0))
+			throw new Error('Invalid maxDuration (not a positive number)');
+		if(idleTimeout !== undefined && idleTimeout !== null && (typeof idleTimeout !== 'number' || idleTimeout <= 0))
+			throw new Error('Invalid idleTimeout (not a positive number)');
+		if(pluginOptions && typeof pluginOptions !== 'object')
+			throw new Error('Invalid pluginOptions (not an object)');
+		if(sdpPolicy && !(sdpPolicy instanceof JanusWhipSdpPolicy))
+			sdpPolicy = new JanusWhipSdpPolicy(sdpPolicy);
+		webhooks = this._parseWebhooks(webhooks);
+		// Let the plugin adapter validate the settings as well
+		adapter.validate({ room, secret, adminKey, pin, label, recipients, record, recordMix, filename, maxSessions, pluginOptions, customize });
+		return {
 			plugin: plugin,
 			room: room,
 			secret: secret,
@@ -149,15 +503,285 @@ class JanusWhipServer extends EventEmitter {
 			pin: pin,
 			label: label ? label : 'WHIP Publisher ' + room,
 			token: token,
+			jwt: jwt ? jwt : undefined,
 			iceServers: iceServers,
 			recipients: recipients,
+			record: record ? true : undefined,
+			recordMix: recordMix ? true : undefined,
+			filename: filename ? filename : undefined,
+			createRoom: createRoom ? createRoom : undefined,
+			destroyRoom: destroyRoom ? destroyRoom : undefined,
+			maxSessions: maxSessions,
+			maxDuration: maxDuration ? maxDuration : undefined,
+			idleTimeout: idleTimeout ? idleTimeout : undefined,
+			sdpPolicy: sdpPolicy ? sdpPolicy : undefined,
+			pluginOptions: pluginOptions,
+			webhooks: webhooks,
+			authorize: authorize,
 			customize: customize
+		};
+	}
+
+	// Make sure the ICE servers to advertise are valid
+	_checkIceServers(iceServers) {
+		for(let server of iceServers) {
+			if(!server || typeof server !== 'object')
+				throw new Error('Invalid ICE server (not an object)');
+			if(server.ttl !== undefined && (typeof server.ttl !== 'number' || server.ttl <= 0))
+				throw new Error('Invalid ICE server, "ttl" must be a positive number');
+		}
+	}
+
+	// Prepare the Link headers to advertise ICE servers: for TURN servers
+	// configured with a shared secret, we generate ephemeral credentials
+	// as per the TURN REST API (coturn's use-auth-secret)
+	_getIceServerLinks(iceServers, endpoint) {
+		let links = [];
+		for(let server of iceServers) {
+			if(!server.uri || (server.uri.indexOf('stun:') !== 0 &&
+					server.uri.indexOf('turn:') !== 0 &&
+					server.uri.indexOf('turns:') !== 0))
+				continue;
+			let link = '<' + server.uri + '>; rel="ice-server"';
+			let username = server.username;
+			let credential = server.credential;
+			if(server.secret && server.uri.indexOf('stun:') !== 0) {
+				// The username is the expiry time, optionally followed by a user ID
+				let expiry = Math.floor(Date.now() / 1000) + (server.ttl ? server.ttl : 86400);
+				username = expiry + ':' + (server.username ? server.username : endpoint.id);
+				credential = crypto.createHmac('sha1', server.secret).update(username).digest('base64');
+			}
+			if(username && credential) {
+				link += ';';
+				link += ' username="' + username + '";' +
+					' credential="' + credential + '";' +
+					' credential-type="password"';
+			}
+			links.push(link);
+		}
+		return links;
+	}
+
+	// Validate and normalize webhooks settings (an object or an array of objects)
+	_parseWebhooks(webhooks) {
+		if(!webhooks)
+			return [];
+		if(!Array.isArray(webhooks))
+			webhooks = [ webhooks ];
+		return webhooks.map(w => (w instanceof JanusWhipWebhook) ? w : new JanusWhipWebhook(w));
+	}
+
+	// Notify the global webhooks and the ones of the endpoint (if any) about an event
+	_notify(endpoint, event, data) {
+		let webhooks = endpoint ? this.webhooks.concat(endpoint.webhooks) : this.webhooks;
+		for(let webhook of webhooks)
+			webhook.notify(event, data, endpoint ? endpoint.logger : this.logger);
+	}
+
+	// Check the Bearer token of a request, if the endpoint requires one: returns
+	// null if the request is unauthorized, or an object with the token and, in
+	// case it was a JWT, the decoded claims otherwise
+	async _checkAuthorization(endpoint, req, session) {
+		let auth = req.headers['authorization'];
+		if(session) {
+			// Requests on an existing resource must present the same token used
+			// to publish, if one was needed, whether the endpoint settings or the
+			// token (e.g., an expired JWT) changed in the meanwhile or not
+			if(!session.authToken)
+				return {};
+			if(auth !== 'Bearer ' + session.authToken) {
+				this._authFailed(req);
+				return null;
+			}
+			return { token: session.authToken, claims: session.claims };
+		}
+		if(!endpoint.token && !endpoint.jwt) {
+			// The token may still be of interest to the authorize callback
+			if(auth && auth.indexOf('Bearer ') === 0 && auth.length > 7)
+				return { token: auth.substring(7) };
+			return {};
+		}
+		if(!auth || auth.indexOf('Bearer ') < 0) {
+			this._authFailed(req);
+			return null;
+		}
+		let authtoken = auth.split('Bearer ')[1];
+		if(!authtoken || authtoken.length === 0) {
+			this._authFailed(req);
+			return null;
+		}
+		let result = await this._verifyToken(endpoint, authtoken);
+		if(!result)
+			this._authFailed(req);
+		return result;
+	}
+
+	// Get the endpoint a WHIP request refers to: if it doesn't exist, and a
+	// resolveEndpoint callback was provided, we ask the application for
+	// its settings, and create it on the fly. Transient endpoints are
+	// destroyed as soon as no request or session is using them anymore
+	async _getEndpoint(id, req, res) {
+		let endpoint = this.endpoints.get(id);
+		if(endpoint && endpoint.destroying)
+			return null;
+		if(!endpoint && id && this.resolveEndpoint) {
+			// Concurrent requests for the same ID share the same resolution
+			let resolution = this.resolving.get(id);
+			if(!resolution) {
+				resolution = this._resolveEndpoint(id, req);
+				this.resolving.set(id, resolution);
+				resolution.finally(() => this.resolving.delete(id)).catch(_err => {});
+			}
+			endpoint = await resolution;
+		}
+		if(endpoint && endpoint.transient) {
+			endpoint.pendingRequests++;
+			res.once('close', () => {
+				endpoint.pendingRequests--;
+				this._releaseTransient(endpoint);
+			});
+		}
+		return endpoint;
+	}
+
+	async _resolveEndpoint(id, req) {
+		let options = await this.resolveEndpoint(id, {
+			method: req.method,
+			headers: req.headers,
+			ip: req.ip,
+			query: req.query
 		});
-		this.logger.info('[' + id + '] Created new WHIP endpoint');
-		this.endpoints.set(id, endpoint);
+		if(!options)
+			return null;
+		// The endpoint may have been created while we were waiting
+		if(this.endpoints.has(id))
+			return this.endpoints.get(id);
+		if(typeof options !== 'object')
+			throw new Error('Invalid endpoint settings for ' + id + ' (not an object)');
+		let { transient, ...settings } = options;
+		let endpoint = this.createEndpoint(Object.assign(settings, { id: id }));
+		endpoint.transient = (transient === true);
+		endpoint.logger.verb('Resolved WHIP endpoint on demand' + (endpoint.transient ? ' (transient)' : ''));
 		return endpoint;
 	}
 
+	// Destroy a transient endpoint, if nothing is using it anymore
+	_releaseTransient(endpoint) {
+		if(!endpoint.transient || endpoint.destroying || endpoint.pendingRequests > 0 || endpoint.sessions.size > 0)
+			return;
+		if(this.endpoints.get(endpoint.id) !== endpoint)
+			return;
+		this.destroyEndpoint({ id: endpoint.id })
+			.catch(err => endpoint.logger.warn('Error destroying transient endpoint:', err));
+	}
+
+	// Reject a request because we're shutting down
+	_shuttingDown(res) {
+		this._sendProblem(res, 'shutting-down', { headers: { 'Retry-After': this.retryAfter } });
+	}
+
+	// Send the problem matching an error that occurred while talking to Janus:
+	// the error message is only exposed if the error came from Janus itself
+	_sendError(res, endpoint, err) {
+		let problem = this.plugins.get(endpoint.plugin).getProblem(err);
+		this._sendProblem(res, problem, { detail: problem !== 'internal-error' ? err.message : undefined });
+	}
+
+	// Send an error response as an RFC 9457 problem details object: unknown
+	// names result in a generic problem (about:blank) with the provided status
+	_sendProblem(res, name, { status, detail, headers } = {}) {
+		let type = problemTypes[name];
+		let problem = {
+			type: type ? problemTypePrefix + name : 'about:blank',
+			title: type ? type.title : http.STATUS_CODES[status],
+			status: type ? type.status : status,
+			detail: detail
+		};
+		for(let header in (headers || {}))
+			res.setHeader(header, headers[header]);
+		res.status(problem.status);
+		res.type('application/problem+json');
+		res.send(JSON.stringify(problem));
+	}
+
+	// Context passed to the authorize and customize callbacks of an endpoint
+	_getRequestContext(endpoint, req, auth) {
+		return {
+			endpoint: endpoint.id,
+			method: req.method,
+			headers: req.headers,
+			ip: req.ip,
+			query: req.query,
+			token: auth.token,
+			claims: auth.claims
+		};
+	}
+
+	// Invoke the authorize callback of the endpoint, if any: returns null if the
+	// request is authorized, or an object with the status and reason otherwise
+	async _authorize(endpoint, req, context) {
+		if(!endpoint.authorize)
+			return null;
+		let result = null;
+		try {
+			if(await endpoint.authorize(context) === false)
+				result = { status: 403, problem: 'unauthorized' };
+		} catch(err) {
+			// The callback may reject with a custom status and message:
+			// any other error is only logged, and results in a 403
+			if(Number.isInteger(err.status) && err.status >= 400 && err.status < 600) {
+				result = { status: err.status, message: err.message ? err.message : undefined };
+			} else {
+				endpoint.logger.warn('Error authorizing request:', err);
+				result = { status: 403, problem: 'unauthorized' };
+			}
+		}
+		if(result && (result.status === 401 || result.status === 403))
+			this._authFailed(req);
+		return result;
+	}
+
+	// Keep track of a failed authorization, and lock the address out if
+	// there were too many of them and lockouts are enabled
+	_authFailed(req) {
+		if(this.metrics)
+			this.metrics.inc('whip_auth_failures_total', { method: req.method });
+		// CORS preflights never carry credentials, so they don't count for lockouts
+		if(!this.rateLimiter || req.method === 'OPTIONS')
+			return;
+		this.rateLimiter.authFailed(req.ip).then(locked => {
+			if(locked)
+				this.logger.warn('Too many authorization failures from ' + req.ip + ', locking it out');
+		}).catch(err => this.logger.warn('Error tracking authorization failure:', err));
+	}
+
+	// Reply with a 429, telling the client how long it should wait
+	_tooManyRequests(req, res, limited) {
+		this.logger.child({ request: req.requestId }).verb('Rate limiting request from ' + req.ip + ' (' + limited.reason + ')');
+		if(this.metrics)
+			this.metrics.inc('whip_rate_limited_total', { reason: limited.reason });
+		this._sendProblem(res, 'too-many-requests', { headers: { 'Retry-After': limited.retryAfter } });
+	}
+
+	async _verifyToken(endpoint, authtoken) {
+		if(endpoint.jwt) {
+			try {
+				let claims = endpoint.jwt.verify(authtoken, endpoint.id);
+				return { token: authtoken, claims: claims };
+			} catch(err) {
+				endpoint.logger.verb('Invalid JWT:', err.message);
+				return null;
+			}
+		}
+		if(typeof endpoint.token === 'function') {
+			if(!(await endpoint.token(authtoken)))
+				return null;
+		} else if(authtoken !== endpoint.token) {
+			return null;
+		}
+		return { token: authtoken };
+	}
+
 	listEndpoints() {
 		let list = [];
 		this.endpoints.forEach(function(endpoint, id) {
@@ -172,221 +796,634 @@ class JanusWhipServer extends EventEmitter {
 
 	async destroyEndpoint({ id }) {
 		let endpoint = this.endpoints.get(id);
-		if(!id || !endpoint)
+		if(!id || !endpoint || endpoint.destroying)
 			throw new Error('Invalid endpoint ID');
-		// Get rid of the Janus publisher, if there's one active
-		if(this.janus && endpoint.handle)
-			await endpoint.handle.detach().catch(_err => {});
-		if(endpoint.resourceId)
-			delete this.resources[endpoint.resourceId];
-		delete endpoint.resourceId;
+		// The endpoint stays in the map until all its sessions are gone, so
+		// that events still refer to it: new requests ignore it in the meanwhile
+		endpoint.destroying = true;
+		// Get rid of the Janus publishers, if there are any active
+		for(let session of Array.from(endpoint.sessions.values()))
+			await this._teardownSession(endpoint, session, { reason: 'endpoint-destroyed' });
+		// Get rid of the rooms we created for this endpoint, if needed
+		if(endpoint.destroyRoom) {
+			for(let { backend, room, secret } of Array.from(endpoint.createdRooms.values()))
+				await this._destroyRoom(endpoint, backend, room, secret);
+		}
 		this.endpoints.delete(id);
-		this.logger.info('[' + id + '] Destroyed WHIP endpoint');
+		endpoint.logger.info('Destroyed WHIP endpoint');
+	}
+
+	// Forcibly tear down an active WHIP session, e.g., to kick a publisher:
+	// the endpoint is preserved, so a new session can be created later on
+	async terminateSession({ id, reason = 'terminated' }) {
+		let endpoint = this.endpoints.get(this.resources.get(id));
+		let session = endpoint ? endpoint.sessions.get(id) : null;
+		if(!id || !session)
+			throw new Error('Invalid resource ID');
+		if(typeof reason !== 'string' || !/^[\w-]{1,64}$/.test(reason))
+			throw new Error('Invalid reason (not an identifier)');
+		session.logger.info('Forcibly terminating WHIP session, reason:', reason);
+		await this._teardownSession(endpoint, session, { reason: reason });
+	}
+
+	listBackends() {
+		let list = [];
+		for(let backend of this.backends) {
+			list.push({
+				id: backend.id,
+				address: backend.address,
+				connected: backend.janus ? true : false,
+				sessions: this._countSessions(backend),
+				reconnects: backend.reconnects
+			});
+		}
+		return list;
 	}
 
 	// Janus setup
-	async _connectToJanus() {
+	async _connectToJanus(backend) {
 		const connection = await Janode.connect({
 			is_admin: false,
 			address: {
-				url: this.config.janus.address,
+				url: backend.address,
 			},
 			retry_time_secs: 3,
 			max_retries: Number.MAX_VALUE
 		});
 		connection.once(Janode.EVENT.CONNECTION_ERROR, () => {
-			this.logger.warn('Lost connectivity to Janus, reset the manager and try reconnecting');
-			// Teardown existing endpoints
-			this.endpoints.forEach(function(endpoint, id) {
-				endpoint.enabling = false;
-				endpoint.enabled = false;
-				delete endpoint.handle;
-				delete endpoint.publisher;
-				delete endpoint.sdpOffer;
-				delete endpoint.ice;
-				if(endpoint.resourceId)
-					this.resources.delete(endpoint.resourceId);
-				delete endpoint.resourceId;
-				delete endpoint.resource;
-				delete endpoint.latestEtag;
-				this.logger.info('[' + id + '] Terminating WHIP session');
-				endpoint.emit('endpoint-inactive');
-				endpoint.emit('janus-disconnected');
-				this.emit('endpoint-inactive', id);
+			backend.logger.warn('Lost connectivity to Janus (' + backend.id + '), reset the manager and try reconnecting');
+			backend.connection = null;
+			backend.janus = null;
+			// Teardown existing sessions, but only the ones hosted by this backend
+			this.endpoints.forEach(function(endpoint) {
+				let affected = false;
+				for(let session of Array.from(endpoint.sessions.values())) {
+					if(session.backend !== backend)
+						continue;
+					affected = true;
+					this._teardownSession(endpoint, session, { detach: false, reason: 'janus-disconnected' });
+				}
+				if(affected) {
+					endpoint.emit('janus-disconnected', backend.id);
+					for(let webhook of endpoint.webhooks)
+						webhook.notify('janus-disconnected', { endpoint: endpoint.id, backend: backend.id }, endpoint.logger);
+				}
 			}, this);
-			this.emit('janus-disconnected');
-			// Reconnect
-			this.janus = null;
-			setTimeout(this._connectToJanus.bind(this), 1);
+			this.emit('janus-disconnected', backend.id);
+			this._notify(null, 'janus-disconnected', { backend: backend.id });
+			// Reconnect, unless we're shutting down
+			if(this.draining)
+				return;
+			backend.reconnects++;
+			this._reconnectToJanus(backend);
 		});
-		this.janus = await connection.create();
-		this.logger.info('Connected to Janus:', this.config.janus.address);
-		if(this.started)
-			this.emit('janus-reconnected');
+		backend.connection = connection;
+		backend.janus = await connection.create();
+		backend.logger.info('Connected to Janus:', backend.address);
+		if(backend.reconnects > 0)
+			this.emit('janus-reconnected', backend.id);
+		// Release the resources of sessions we lost while disconnected
+		this._flushOrphans(backend);
+	}
+
+	// Try connecting to a Janus backend again: if that fails too, we keep
+	// retrying with a longer delay, until we succeed or shut down
+	_reconnectToJanus(backend, delay = 1) {
+		let timer = setTimeout(() => {
+			this.reconnectTimers.delete(timer);
+			if(this.draining)
+				return;
+			this._connectToJanus(backend).catch(err => {
+				backend.logger.err('Error reconnecting to Janus (' + backend.id + '):', err);
+				if(!this.draining)
+					this._reconnectToJanus(backend, JanusWhipServer.RECONNECT_DELAY);
+			});
+		}, delay);
+		this.reconnectTimers.add(timer);
+	}
+
+	async _flushOrphans(backend) {
+		for(let { endpoint, session } of backend.orphans.splice(0))
+			await this._teardownOrphan(endpoint, session);
+	}
+
+	// Pick the Janus backend to use for a new session
+	_pickBackend(endpoint) {
+		let available = this.backends.filter(backend => backend.janus);
+		if(available.length === 0)
+			return null;
+		let policy = this.config.janus.policy;
+		if(typeof policy === 'function') {
+			// The application decides which backend to use
+			let picked = policy(available.map(backend => ({
+				id: backend.id,
+				address: backend.address,
+				sessions: this._countSessions(backend)
+			})), endpoint.id);
+			if(picked && typeof picked === 'object')
+				picked = picked.id;
+			let backend = available.find(backend => backend.id === picked);
+			return backend ? backend : null;
+		}
+		if(policy === 'least-sessions') {
+			let backend = null, sessions = 0;
+			for(let b of available) {
+				let count = this._countSessions(b);
+				if(!backend || count < sessions) {
+					backend = b;
+					sessions = count;
+				}
+			}
+			return backend;
+		}
+		// Round robin
+		let backend = available[this.nextBackend % available.length];
+		this.nextBackend = (this.nextBackend + 1) % available.length;
+		return backend;
+	}
+
+	// Make sure the room a new publisher should join exists, creating it if needed
+	async _createRoom(endpoint, session, settings) {
+		let adapter = this.plugins.get(endpoint.plugin);
+		let created = await adapter.createRoom({
+			server: this,
+			endpoint: endpoint,
+			session: session,
+			handle: session.handle,
+			settings: settings,
+			properties: (typeof settings.createRoom === 'object') ? settings.createRoom : {}
+		});
+		if(created) {
+			session.logger.info('Created room', settings.room);
+			endpoint.createdRooms.set(session.backend.id + '/' + settings.room,
+				{ backend: session.backend, room: settings.room, secret: settings.secret });
+		}
+	}
+
+	// Destroy a room we created, unless some publisher is still in there
+	async _destroyRoom(endpoint, backend, room, secret) {
+		for(let e of this.endpoints.values()) {
+			if(e.plugin !== endpoint.plugin)
+				continue;
+			for(let session of e.sessions.values()) {
+				if(!session.closed && session.backend === backend && session.room === room)
+					return;
+			}
+		}
+		endpoint.createdRooms.delete(backend.id + '/' + room);
+		if(!backend.janus)
+			return;
+		// We use a new handle, as the one of the session may be gone already
+		let adapter = this.plugins.get(endpoint.plugin);
+		let handle = null;
+		try {
+			handle = await adapter.attach(backend.janus);
+			await adapter.destroyRoom({ server: this, endpoint: endpoint, handle: handle, room: room, secret: secret });
+			endpoint.logger.info('Destroyed room', room);
+		} catch(err) {
+			endpoint.logger.warn('Error destroying room ' + room + ':', err);
+		}
+		if(handle)
+			await handle.detach().catch(_err => {});
+	}
+
+	// Get the Janus Admin API connection of a backend, connecting if needed
+	async _getAdminConnection(backend) {
+		if(!backend.admin)
+			throw new Error('Janus Admin API not configured for backend ' + backend.id);
+		if(!backend.adminConnection) {
+			backend.adminConnection = Janode.connect({
+				is_admin: true,
+				address: {
+					url: backend.admin.address,
+					apisecret: backend.admin.secret
+				},
+				retry_time_secs: 1,
+				max_retries: 1
+			});
+			backend.adminConnection.then(connection => {
+				backend.logger.info('Connected to the Janus Admin API:', backend.admin.address);
+				connection.once(Janode.EVENT.CONNECTION_ERROR, () => {
+					backend.logger.warn('Lost connectivity to the Janus Admin API (' + backend.id + ')');
+					backend.adminConnection = null;
+				});
+			}).catch(err => {
+				backend.logger.warn('Error connecting to the Janus Admin API (' + backend.id + '):', err.message);
+				backend.adminConnection = null;
+			});
+		}
+		return backend.adminConnection;
+	}
+
+	// Query the Janus Admin API for the state of the PeerConnection of a session
+	async _getSessionStats(session) {
+		let backend = session.backend;
+		if(!backend || !backend.janus || !session.handle)
+			throw new Error('Session not available');
+		let connection = await this._getAdminConnection(backend);
+		let response = await connection.handleInfo(backend.janus.id, session.handle.id);
+		let info = (response && response.info) ? response.info : {};
+		let webrtc = info.webrtc ? info.webrtc : {};
+		let ice = webrtc.ice ? webrtc.ice : {};
+		let dtls = webrtc.dtls ? webrtc.dtls : {};
+		// Media may be an array or an object indexed by mid, depending on the Janus version
+		let media = webrtc.media ? Object.values(webrtc.media) : [];
+		return {
+			ice: {
+				state: ice.state,
+				selectedPair: ice['selected-pair']
+			},
+			dtls: {
+				state: dtls['dtls-state'],
+				srtpProfile: dtls['srtp-profile']
+			},
+			media: media.map(m => {
+				let inStats = m.in_stats ? m.in_stats : {};
+				let rtcp = (m.rtcp && m.rtcp.main) ? m.rtcp.main : {};
+				// Janus prefixes the counters with the media type (e.g., audio_bytes),
+				// and has separate ones for simulcast substreams (e.g., video_bytes-sim1)
+				let counter = (name) => {
+					let total;
+					for(let key of Object.keys(inStats)) {
+						if(key === m.type + '_' + name || key.indexOf(m.type + '_' + name + '-sim') === 0)
+							total = (total || 0) + inStats[key];
+					}
+					return total;
+				};
+				let bytesLastSec = counter('bytes_lastsec');
+				return {
+					mid: m.mid,
+					type: m.type,
+					codec: m.codecs ? m.codecs[m.type + '-codec'] : undefined,
+					packets: counter('packets'),
+					bytes: counter('bytes'),
+					// Janus tells us how many bytes it received in the last second
+					bitrate: bytesLastSec !== undefined ? bytesLastSec * 8 : undefined,
+					lost: rtcp.lost,
+					nacks: counter('nacks')
+				};
+			})
+		};
+	}
+
+	_countSessions(backend) {
+		let count = 0;
+		this.endpoints.forEach(function(endpoint) {
+			endpoint.sessions.forEach(function(session) {
+				if(session.backend === backend)
+					count++;
+			});
+		});
+		return count;
+	}
+
+	// Check whether a session is idle (no ICE connectivity, or no media), and
+	// start or stop the idle timer accordingly, if the endpoint has one
+	_checkIdle(endpoint, session) {
+		if(!endpoint.idleTimeout || !session.enabled || session.closed)
+			return;
+		let receiving = Object.values(session.media).some(r => r);
+		if(session.connected && receiving) {
+			if(session.idleTimer) {
+				clearTimeout(session.idleTimer);
+				session.idleTimer = null;
+			}
+			return;
+		}
+		if(session.idleTimer)
+			return;
+		session.idleTimer = setTimeout(() => {
+			session.idleTimer = null;
+			session.logger.info('Session idle for ' + endpoint.idleTimeout + ' seconds, tearing it down');
+			this._teardownSession(endpoint, session, { reason: 'idle-timeout' });
+		}, endpoint.idleTimeout * 1000);
+	}
+
+	// Tear down a WHIP session, and get rid of all its resources: the reason
+	// is passed to the endpoint-inactive events and session-ended webhooks
+	async _teardownSession(endpoint, session, { detach = true, reason } = {}) {
+		if(session.closed)
+			return;
+		session.closed = true;
+		clearTimeout(session.durationTimer);
+		clearTimeout(session.idleTimer);
+		endpoint.sessions.delete(session.id);
+		this.resources.delete(session.id);
+		// Get rid of the Janus publisher, unless Janus already did
+		if(session.handle && session.backend) {
+			if(detach && session.backend.janus) {
+				await this._teardownPlugin(endpoint, session, session.handle);
+				await session.handle.detach().catch(_err => {});
+			} else {
+				// The handle is gone, but the plugin may still have resources
+				// that outlive it (e.g., AudioBridge forwarders) to release
+				await this._teardownOrphan(endpoint, session);
+			}
+		}
+		// Get rid of the room, if we created it and this was the last publisher
+		if(endpoint.destroyRoom === 'last-session' && session.backend && session.backend.janus &&
+				endpoint.createdRooms.has(session.backend.id + '/' + session.room)) {
+			await this._destroyRoom(endpoint, session.backend, session.room, session.settings ? session.settings.secret : undefined);
+		}
+		if(session.enabled) {
+			session.enabled = false;
+			session.logger.info('Terminating WHIP session');
+			if(session.recordings.length > 0)
+				endpoint.addRecording(session);
+			endpoint.emit('endpoint-inactive', session.id, reason, session.recordings);
+			this.emit('endpoint-inactive', endpoint.id, session.id, reason, session.recordings);
+			this._notify(endpoint, 'session-ended', {
+				endpoint: endpoint.id,
+				resource: session.id,
+				plugin: endpoint.plugin,
+				room: session.room,
+				duration: Math.round((Date.now() - session.startTime) / 1000),
+				reason: reason,
+				recordings: session.recordings.length > 0 ? session.recordings : undefined
+			});
+		}
+		// Transient endpoints go away with their last session
+		this._releaseTransient(endpoint);
+	}
+
+	// Get rid of the plugin specific resources of a session, using the provided handle
+	async _teardownPlugin(endpoint, session, handle) {
+		let adapter = this.plugins.get(endpoint.plugin);
+		await adapter.teardown({ server: this, endpoint: endpoint, session: session, handle: handle, settings: session.settings })
+			.catch(err => session.logger.warn('Error tearing down session:', err));
+	}
+
+	// Tear down the plugin resources of a session whose handle is gone already:
+	// we use a temporary handle for the purpose, or wait for the backend to
+	// come back, if the handle went away because we lost the connection
+	async _teardownOrphan(endpoint, session) {
+		let adapter = this.plugins.get(endpoint.plugin);
+		if(!adapter.hasResources({ server: this, endpoint: endpoint, session: session, settings: session.settings }))
+			return;
+		let backend = session.backend;
+		if(!backend.janus) {
+			backend.orphans.push({ endpoint, session });
+			return;
+		}
+		let handle = null;
+		try {
+			handle = await adapter.attach(backend.janus);
+			await this._teardownPlugin(endpoint, session, handle);
+		} catch(err) {
+			session.logger.warn('Error tearing down session:', err);
+		}
+		if(handle)
+			await handle.detach().catch(_err => {});
 	}
 
 	// REST server setup
 	_setupRest(app) {
 		const router = express.Router();
 
+		// Assign an ID to each request, so that we can refer to it in logs
+		router.use((req, res, next) => {
+			let requestId = req.headers['x-request-id'];
+			req.requestId = (requestId && requestId.length <= 64) ? requestId : this.generateRandomString(12);
+			res.setHeader('X-Request-Id', req.requestId);
+			next();
+		});
+
+		// Keep track of the requests we're serving, for graceful shutdowns
+		router.use((_req, res, next) => {
+			this.pendingRequests++;
+			res.once('close', () => {
+				this.pendingRequests--;
+				if(this.pendingRequests === 0)
+					this.emit('requests-drained');
+			});
+			next();
+		});
+
+		// Keep track of the WHIP requests we handle, if metrics are enabled
+		if(this.metrics) {
+			router.use([ '/endpoint', '/resource' ], (req, res, next) => {
+				// Express resets baseUrl when leaving the router, so we can't
+				// wait until the response has been sent to check the path
+				let path = req.baseUrl.endsWith('/resource') ? 'resource' : 'endpoint';
+				res.on('finish', () => {
+					this.metrics.inc('whip_requests_total', {
+						method: req.method,
+						path: path,
+						status: res.statusCode
+					});
+				});
+				next();
+			});
+		}
+
+		// Enforce rate limits and lockouts on WHIP requests, if configured
+		if(this.rateLimiter) {
+			router.use([ '/endpoint', '/resource' ], async (req, res, next) => {
+				let limited = null;
+				try {
+					limited = await this.rateLimiter.checkAddress(req.ip);
+				} catch(err) {
+					// Don't block requests if the store is unavailable
+					this.logger.warn('Error checking rate limits:', err);
+				}
+				if(limited) {
+					this._tooManyRequests(req, res, limited);
+					return;
+				}
+				next();
+			});
+		}
+
 		// Just a helper to make sure this API is up and running
 		router.get('/healthcheck', (_req, res) => {
 			this.logger.debug('/healthcheck');
+			if(this.draining) {
+				this._shuttingDown(res);
+				return;
+			}
 			res.sendStatus(200);
 		});
 
 		// OPTIONS associated with publishing to a WHIP endpoint
-		router.options('/endpoint/:id', (req, res) => {
+		router.options('/endpoint/:id', async (req, res) => {
 			// Prepare CORS headers for preflight
 			res.setHeader('Access-Control-Allow-Methods', 'GET,HEAD,PUT,PATCH,POST,DELETE');
 			res.setHeader('Vary', 'Access-Control-Request-Headers');
 			// Authenticate the request, and only return Link headers if valid
 			let id = req.params.id;
-			let endpoint = this.endpoints.get(id);
+			let endpoint = null;
+			try {
+				endpoint = await this._getEndpoint(id, req, res);
+			} catch(err) {
+				this.logger.warn('Error resolving endpoint ' + id + ':', err);
+			}
 			if(!id || !endpoint) {
 				res.sendStatus(204);
 				return;
 			}
-			if(endpoint.enabled) {
+			if(endpoint.sessions.size >= endpoint.maxSessions) {
 				res.sendStatus(204);
 				return;
 			}
-			// Check the Bearer token
-			let auth = req.headers['authorization'];
-			if(endpoint.token) {
-				if(!auth || auth.indexOf('Bearer ') < 0) {
-					res.sendStatus(204);
-					return;
-				}
-				let authtoken = auth.split('Bearer ')[1];
-				if(typeof endpoint.token === 'function') {
-					if(!endpoint.token(authtoken)) {
-						res.sendStatus(204);
-						return;
-					}
-				} else if(!authtoken || authtoken.length === 0 || authtoken !== endpoint.token) {
-					res.sendStatus(204);
-					return;
-				}
+			// Check the Bearer token, and the authorize callback
+			let auth = await this._checkAuthorization(endpoint, req);
+			if(!auth || await this._authorize(endpoint, req, this._getRequestContext(endpoint, req, auth))) {
+				res.sendStatus(204);
+				return;
 			}
 			// Done
 			let iceServers = endpoint.iceServers ? endpoint.iceServers : this.config.iceServers;
 			if(iceServers && iceServers.length > 0) {
-				// Add a Link header for each static ICE server
+				// Add a Link header for each ICE server
 				res.setHeader('Access-Control-Expose-Headers', 'Link');
 				res.setHeader('Access-Post', 'application/sdp');
-				let links = [];
-				for(let server of iceServers) {
-					if(!server.uri || (server.uri.indexOf('stun:') !== 0 &&
-							server.uri.indexOf('turn:') !== 0 &&
-							server.uri.indexOf('turns:') !== 0))
-						continue;
-					let link = '<' + server.uri + '>; rel="ice-server"';
-					if(server.username && server.credential) {
-						link += ';';
-						link += ' username="' + server.username + '";' +
-							' credential="' + server.credential + '";' +
-							' credential-type="password"';
-					}
-					links.push(link);
-				}
-				res.setHeader('Link', links);
+				res.setHeader('Link', this._getIceServerLinks(iceServers, endpoint));
 			}
 			res.sendStatus(204);
 		});
 		// Publish to a WHIP endpoint
 		router.post('/endpoint/:id', async (req, res) => {
+			let started = Date.now();
+			if(this.draining) {
+				this._shuttingDown(res);
+				return;
+			}
 			let id = req.params.id;
-			let endpoint = this.endpoints.get(id);
+			let endpoint = null;
+			try {
+				endpoint = await this._getEndpoint(id, req, res);
+			} catch(err) {
+				// The callback may reject with a custom status and message
+				this.logger.warn('Error resolving endpoint ' + id + ':', err);
+				if(Number.isInteger(err.status) && err.status >= 400 && err.status < 600)
+					this._sendProblem(res, null, { status: err.status, detail: err.message ? err.message : undefined });
+				else
+					this._sendProblem(res, 'internal-error', { detail: 'Error resolving endpoint' });
+				return;
+			}
 			if(!id || !endpoint) {
-				res.status(404);
-				res.send('Invalid endpoint ID');
+				this._sendProblem(res, 'endpoint-not-found');
 				return;
 			}
-			if(endpoint.enabling || endpoint.enabled) {
-				res.status(403);
-				res.send('Endpoint ID already in use');
+			let logger = endpoint.logger.child({ request: req.requestId });
+			if(this.rateLimiter) {
+				let limited = null;
+				try {
+					limited = await this.rateLimiter.checkEndpoint(id);
+				} catch(err) {
+					logger.warn('Error checking rate limits:', err);
+				}
+				if(limited) {
+					this._tooManyRequests(req, res, limited);
+					return;
+				}
+			}
+			if(endpoint.sessions.size >= endpoint.maxSessions) {
+				this._sendProblem(res, 'endpoint-in-use');
 				return;
 			}
-			this.logger.verb('/endpoint/:', id);
-			this.logger.debug(req.body);
+			logger.verb('/endpoint/:', id);
+			logger.debug(req.body);
 			// Make sure we received an SDP
-			if(req.headers['content-type'] !== 'application/sdp' || req.body.indexOf('v=0') < 0) {
-				res.status(406);
-				res.send('Unsupported content type');
+			if(req.headers['content-type'] !== 'application/sdp') {
+				this._sendProblem(res, 'unsupported-media-type', { headers: { 'Accept-Post': 'application/sdp' } });
+				return;
+			}
+			if(typeof req.body !== 'string' || req.body.indexOf('v=0') < 0 ||
+					!/a=ice-ufrag:(.*)\r\n/.test(req.body) || !/a=ice-pwd:(.*)\r\n/.test(req.body)) {
+				this._sendProblem(res, 'invalid-offer');
 				return;
 			}
 			// Check the Bearer token
-			let auth = req.headers['authorization'];
-			if(endpoint.token) {
-				if(!auth || auth.indexOf('Bearer ') < 0) {
-					res.status(403);
-					res.send('Unauthorized');
-					return;
-				}
-				let authtoken = auth.split('Bearer ')[1];
-				if(typeof endpoint.token === 'function') {
-					if(!endpoint.token(authtoken)) {
-						res.status(403);
-						res.send('Unauthorized');
-						return;
-					}
-				} else if(!authtoken || authtoken.length === 0 || authtoken !== endpoint.token) {
-					res.status(403);
-					res.send('Unauthorized');
+			let auth = await this._checkAuthorization(endpoint, req);
+			if(!auth) {
+				this._sendProblem(res, 'unauthorized');
+				return;
+			}
+			// Let the application authorize the request too, if needed
+			let context = this._getRequestContext(endpoint, req, auth);
+			let rejected = await this._authorize(endpoint, req, context);
+			if(rejected) {
+				logger.verb('Request rejected by authorize callback:', rejected.status, rejected.message);
+				this._sendProblem(res, rejected.problem, { status: rejected.status, detail: rejected.message });
+				return;
+			}
+			// Check if the SDP offer is acceptable, and if it needs to be modified
+			let offer = req.body;
+			let sdpPolicy = endpoint.sdpPolicy ? endpoint.sdpPolicy : this.sdpPolicy;
+			if(sdpPolicy) {
+				try {
+					offer = await sdpPolicy.apply(offer, { id: id });
+				} catch(err) {
+					logger.warn('SDP offer rejected:', err.message);
+					this._sendProblem(res, 'offer-rejected', { detail: err.message });
 					return;
 				}
+				logger.debug(offer);
 			}
-			// Make sure Janus is up and running
-			if(!this.janus) {
-				res.status(503);
-				res.send('Janus unavailable');
+			// Pick the Janus backend to use
+			let backend = this._pickBackend(endpoint);
+			if(!backend) {
+				this._sendProblem(res, 'janus-unavailable', { headers: { 'Retry-After': this.retryAfter } });
+				return;
+			}
+			// We may have waited for callbacks, so check again if we can accept a new session
+			if(endpoint.sessions.size >= endpoint.maxSessions) {
+				this._sendProblem(res, 'endpoint-in-use');
 				return;
 			}
-			// Create a new session
-			this.logger.info('[' + id + '] Publishing to WHIP endpoint');
-			endpoint.enabling = true;
+			// Create a new session, with a random ID for the resource path
+			let rid = this.generateRandomString(16);
+			while(this.resources.has(rid))
+				rid = this.generateRandomString(16);
+			let session = new JanusWhipSession({
+				id: rid,
+				resource: this.config.rest.basePath + '/resource/' + rid,
+				etag: this.generateRandomString(16)
+			});
+			session.logger = logger.child({ resource: rid });
+			this.resources.set(rid, id);
+			endpoint.sessions.set(rid, session);
+			session.logger.info('Publishing to WHIP endpoint');
 			try {
-				// Create a random ID for the resource path
-				let rid = this.generateRandomString(16);
-				while(this.resources.has(rid))
-					rid = this.generateRandomString(16);
-				this.resources.set(rid, id);
-				endpoint.resourceId = rid;
-				endpoint.resource = this.config.rest.basePath + '/resource/' + rid;
-				endpoint.latestEtag = this.generateRandomString(16);
+				// Only bind the session to the token if one was required
+				session.authToken = (endpoint.token || endpoint.jwt) ? auth.token : undefined;
+				session.claims = auth.claims;
 				// Take note of SDP and ICE credentials
-				endpoint.sdpOffer = req.body;
-				endpoint.ice = {
-					ufrag: endpoint.sdpOffer.match(/a=ice-ufrag:(.*)\r\n/)[1],
-					pwd: endpoint.sdpOffer.match(/a=ice-pwd:(.*)\r\n/)[1]
+				session.sdpOffer = offer;
+				session.ice = {
+					ufrag: session.sdpOffer.match(/a=ice-ufrag:(.*)\r\n/)[1],
+					pwd: session.sdpOffer.match(/a=ice-pwd:(.*)\r\n/)[1]
 				};
 				// Connect to the specified plugin
-				if(endpoint.plugin === 'videoroom')
-					endpoint.handle = await this.janus.attach(VideoRoomPlugin);
-				else if(endpoint.plugin === 'audiobridge')
-					endpoint.handle = await this.janus.attach(AudioBridgePlugin);
-				else if(endpoint.plugin === 'recordplay')
-					endpoint.handle = await this.janus.attach(RecordPlayPlugin);
-				else if(endpoint.plugin === 'ndi')
-					endpoint.handle = await this.janus.attach(JanusNdiPlugin);
-				endpoint.handle.on(Janode.EVENT.HANDLE_DETACHED, () => {
+				let adapter = this.plugins.get(endpoint.plugin);
+				session.backend = backend;
+				session.logger.verb('Using Janus backend', backend.id);
+				session.handle = await adapter.attach(backend.janus);
+				session.logger.addFields({ backend: backend.id, janusSession: backend.janus.id, janusHandle: session.handle.id });
+				session.handle.on(Janode.EVENT.HANDLE_DETACHED, () => {
 					// Janus notified us the session is gone, tear it down
-					let endpoint = this.endpoints.get(id);
-					if(endpoint) {
-						this.logger.info('[' + id + '] PeerConnection detected as closed');
-						endpoint.enabling = false;
-						endpoint.enabled = false;
-						delete endpoint.handle;
-						delete endpoint.publisher;
-						delete endpoint.sdpOffer;
-						delete endpoint.ice;
-						if(endpoint.resourceId)
-							this.resources.delete(endpoint.resourceId);
-						delete endpoint.resourceId;
-						delete endpoint.resource;
-						delete endpoint.latestEtag;
-					}
+					if(!session.closed)
+						session.logger.info('PeerConnection detected as closed');
+					this._teardownSession(endpoint, session, { detach: false, reason: 'detached' });
+				});
+				// Keep track of the ICE and media state, to detect idle sessions
+				session.handle.on(Janode.EVENT.HANDLE_WEBRTCUP, () => {
+					session.connected = true;
+					this._checkIdle(endpoint, session);
+				});
+				session.handle.on(Janode.EVENT.HANDLE_MEDIA, evtdata => {
+					// Simulcast substreams are notified separately: a stream
+					// is receiving as long as any of its substreams is
+					let stream = evtdata.mid ? evtdata.mid : evtdata.type;
+					if(evtdata.substream !== undefined && evtdata.substream !== null)
+						stream += '/' + evtdata.substream;
+					session.media[stream] = evtdata.receiving;
+					this._checkIdle(endpoint, session);
+				});
+				session.handle.on(Janode.EVENT.HANDLE_HANGUP, () => {
+					session.connected = false;
+					this._checkIdle(endpoint, session);
 				});
 				// Before attaching, let's check if there's a customize callback
 				// function so that the application can configure things dynamically
@@ -399,205 +1436,151 @@ class JanusWhipServer extends EventEmitter {
 						pin: endpoint.pin,
 						label: endpoint.label,
 						iceServers: endpoint.iceServers ? JSON.parse(JSON.stringify(endpoint.iceServers)) : undefined,
-						recipients: endpoint.recipients ? JSON.parse(JSON.stringify(endpoint.recipients)) : undefined
+						recipients: endpoint.recipients ? JSON.parse(JSON.stringify(endpoint.recipients)) : undefined,
+						record: endpoint.record,
+						recordMix: endpoint.recordMix,
+						filename: endpoint.filename,
+						createRoom: endpoint.createRoom ? JSON.parse(JSON.stringify(endpoint.createRoom)) : undefined,
+						pluginOptions: endpoint.pluginOptions ? JSON.parse(JSON.stringify(endpoint.pluginOptions)) : undefined
 					};
-					endpoint.customize(settings);
+					await endpoint.customize(settings, context);
 				}
-				// Check which plugin we should contact
-				if(endpoint.plugin === 'videoroom') {
-					endpoint.publisher = await endpoint.handle.joinConfigurePublisher({
-						room: settings.room,
-						pin: settings.pin,
-						display: settings.label,
-						audio: true,
-						video: true,
-						jsep: {
-							type: 'offer',
-							sdp: req.body
-						}
-					});
-				} else if(endpoint.plugin === 'audiobridge') {
-					await endpoint.handle.join({
-						room: settings.room,
-						pin: settings.pin,
-						display: settings.label
-					});
-					endpoint.publisher = await endpoint.handle.configure({
-						jsep: {
-							type: 'offer',
-							sdp: req.body
-						}
-					});
-				} else if(endpoint.plugin === 'recordplay') {
-					endpoint.publisher = await endpoint.handle.record({
-						name: settings.label,
-						jsep: {
-							type: 'offer',
-							sdp: req.body
-						}
-					});
-				} else if(endpoint.plugin === 'ndi') {
-					endpoint.publisher = await endpoint.handle.translate({
-						name: settings.label,
-						jsep: {
-							type: 'offer',
-							sdp: req.body
-						}
-					});
-					this.logger.info('[' + id + ']', JanusNdiPlugin.EVENT.JANUS_NDI_TALLY);
-					endpoint.handle.on(JanusNdiPlugin.EVENT.JANUS_NDI_TALLY, (data) => {
-						this.logger.info('[' + id + '] Tally:', data);
-					});
-				}
-				if(endpoint.plugin === 'videoroom' && settings.recipients && settings.recipients.length > 0) {
-					for(let recipient of settings.recipients) {
-						if(recipient && recipient.host && (recipient.audioPort > 0 || recipient.videoPort > 0)) {
-							// Configure an RTP forwarder for this recipient
-							const max32 = Math.pow(2, 32) - 1;
-							let details = {
-								room: settings.room,
-								feed: endpoint.publisher.feed,
-								secret: settings.secret,
-								admin_key: settings.adminKey,
-								host: recipient.host,
-								audio_port: recipient.audioPort,
-								audio_ssrc: recipient.audioSsrc ?
-									recipient.audioSsrc : Math.floor(Math.random() * max32),
-								video_port: recipient.videoPort,
-								video_ssrc: recipient.videoSsrc ?
-									recipient.videoSsrc : Math.floor(Math.random() * max32),
-								video_rtcp_port: recipient.videoRtcpPort
-							};
-							await endpoint.handle.startForward(details);
-						}
+				session.settings = settings;
+				session.room = settings.room;
+				session.label = settings.label;
+				if(settings.room)
+					session.logger.addFields({ room: settings.room });
+				// Create the room, if needed
+				if(settings.createRoom)
+					await this._createRoom(endpoint, session, settings);
+				// Have the plugin adapter publish the offer
+				session.publisher = await adapter.publish({
+					server: this,
+					endpoint: endpoint,
+					session: session,
+					handle: session.handle,
+					settings: settings,
+					jsep: {
+						type: 'offer',
+						sdp: offer
 					}
+				});
+				if(session.closed) {
+					// The session went away while we were setting it up
+					throw new Error('Session closed while publishing');
 				}
-				endpoint.enabling = false;
-				endpoint.enabled = true;
+				session.enabled = true;
+				session.startTime = Date.now();
+				// Enforce the limits on the session lifetime, if any
+				if(endpoint.maxDuration) {
+					session.durationTimer = setTimeout(() => {
+						session.logger.info('Session reached its maximum duration, tearing it down');
+						this._teardownSession(endpoint, session, { reason: 'max-duration' });
+					}, endpoint.maxDuration * 1000);
+				}
+				this._checkIdle(endpoint, session);
 				// Done
 				res.setHeader('Access-Control-Expose-Headers', 'Location, Link');
 				res.setHeader('Accept-Patch', 'application/trickle-ice-sdpfrag');
-				res.setHeader('Location', endpoint.resource);
-				res.set('ETag', '"' + endpoint.latestEtag + '"');
+				res.setHeader('Location', session.resource);
+				res.set('ETag', '"' + session.latestEtag + '"');
 				let iceServers = settings.iceServers ? settings.iceServers : this.config.iceServers;
 				if(iceServers && iceServers.length > 0) {
-					// Add a Link header for each static ICE server
-					let links = [];
-					for(let server of iceServers) {
-						if(!server.uri || (server.uri.indexOf('stun:') !== 0 &&
-								server.uri.indexOf('turn:') !== 0 &&
-								server.uri.indexOf('turns:') !== 0))
-							continue;
-						let link = '<' + server.uri + '>; rel="ice-server"';
-						if(server.username && server.credential) {
-							link += ';';
-							link += ' username="' + server.username + '";' +
-								' credential="' + server.credential + '";' +
-								' credential-type="password"';
-						}
-						links.push(link);
-					}
-					res.setHeader('Link', links);
+					// Add a Link header for each ICE server
+					res.setHeader('Link', this._getIceServerLinks(iceServers, endpoint));
 				}
 				res.writeHeader(201, { 'Content-Type': 'application/sdp' });
-				res.write(endpoint.publisher.jsep.sdp);
+				res.write(session.publisher.jsep.sdp);
 				res.end();
-				endpoint.emit('endpoint-active');
-				this.emit('endpoint-active', id);
+				if(this.metrics)
+					this.metrics.observe('whip_publish_duration_seconds', { plugin: endpoint.plugin }, (Date.now() - started) / 1000);
+				endpoint.emit('endpoint-active', rid);
+				this.emit('endpoint-active', id, rid);
+				this._notify(endpoint, 'session-started', {
+					endpoint: id,
+					resource: rid,
+					plugin: endpoint.plugin,
+					room: session.room,
+					backend: session.backend.id
+				});
 			} catch(err) {
-				this.logger.err('Error publishing:', err);
-				endpoint.enabling = false;
-				endpoint.enabled = false;
-				if(endpoint.handle)
-					await endpoint.handle.detach();
-				delete endpoint.handle;
-				delete endpoint.publisher;
-				delete endpoint.sdpOffer;
-				delete endpoint.ice;
-				res.status(500);
-				res.send(err.error);
+				session.logger.err('Error publishing:', err);
+				await this._teardownSession(endpoint, session, { reason: 'publish-failed' });
+				this._notify(endpoint, 'publish-failed', {
+					endpoint: id,
+					resource: rid,
+					plugin: endpoint.plugin,
+					error: err.message
+				});
+				this._sendError(res, endpoint, err);
 			}
 		});
 
 		// GET, HEAD and PUT on the endpoint must return a 405
+		const endpointMethods = { headers: { 'Allow': 'OPTIONS, POST' } };
 		router.get('/endpoint/:id', (_req, res) => {
-			res.sendStatus(405);
+			this._sendProblem(res, 'method-not-allowed', endpointMethods);
 		});
 		router.head('/endpoint/:id', (_req, res) => {
-			res.sendStatus(405);
+			this._sendProblem(res, 'method-not-allowed', endpointMethods);
 		});
 		router.put('/endpoint/:id', (_req, res) => {
-			res.sendStatus(405);
+			this._sendProblem(res, 'method-not-allowed', endpointMethods);
 		});
 
 		// Trickle a WHIP resource
+		const resourceMethods = { headers: { 'Allow': this.config.allowTrickle ? 'PATCH, DELETE' : 'DELETE' } };
 		router.patch('/resource/:rid', async (req, res) => {
 			if(!this.config.allowTrickle) {
-				res.sendStatus(405);
+				this._sendProblem(res, 'method-not-allowed', resourceMethods);
 				return;
 			}
 			let rid = req.params.rid;
 			let id = this.resources.get(rid);
 			if(!rid || !id) {
-				res.status(404);
-				res.send('Invalid resource ID');
+				this._sendProblem(res, 'resource-not-found');
 				return;
 			}
 			let endpoint = this.endpoints.get(id);
 			if(!endpoint) {
-				res.status(404);
-				res.send('Invalid endpoint ID');
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			let session = endpoint.sessions.get(rid);
+			if(!session) {
+				this._sendProblem(res, 'resource-not-found');
 				return;
 			}
-			if(endpoint.latestEtag)
-				res.set('ETag', '"' + endpoint.latestEtag + '"');
-			this.logger.verb('/resource[trickle]/:', id);
-			this.logger.debug(req.body);
+			let logger = session.logger.child({ request: req.requestId });
+			if(session.latestEtag)
+				res.set('ETag', '"' + session.latestEtag + '"');
+			logger.verb('/resource[trickle]/:', id, rid);
+			logger.debug(req.body);
 			// Check the Bearer token
-			let auth = req.headers['authorization'];
-			if(endpoint.token) {
-				if(!auth || auth.indexOf('Bearer ') < 0) {
-					res.status(403);
-					res.send('Unauthorized');
-					return;
-				}
-				let authtoken = auth.split('Bearer ')[1];
-				if(typeof endpoint.token === 'function') {
-					if(!endpoint.token(authtoken)) {
-						res.status(403);
-						res.send('Unauthorized');
-						return;
-					}
-				} else if(!authtoken || authtoken.length === 0 || authtoken !== endpoint.token) {
-					res.status(403);
-					res.send('Unauthorized');
-					return;
-				}
+			if(!(await this._checkAuthorization(endpoint, req, session))) {
+				this._sendProblem(res, 'unauthorized');
+				return;
 			}
-			if(!endpoint.handle) {
-				res.status(403);
-				res.send('Endpoint ID not published');
+			if(!session.handle) {
+				this._sendProblem(res, 'session-not-ready');
 				return;
 			}
 			// Check the latest ETag
-			if(req.headers['if-match'] !== '"*"' && req.headers['if-match'] !== ('"' + endpoint.latestEtag + '"')) {
+			if(req.headers['if-match'] !== '"*"' && req.headers['if-match'] !== ('"' + session.latestEtag + '"')) {
 				if(this.config.strictETags) {
 					// Only return a failure if we're configured with strict ETag checking, ignore it otherwise
-					res.status(412);
-					res.send('Precondition Failed');
+					this._sendProblem(res, 'precondition-failed');
 					return;
 				}
 			}
 			// Make sure Janus is up and running
-			if(!this.janus) {
-				res.status(503);
-				res.send('Janus unavailable');
+			if(!session.backend || !session.backend.janus) {
+				this._sendProblem(res, 'janus-unavailable', { headers: { 'Retry-After': this.retryAfter } });
 				return;
 			}
 			// Make sure we received a trickle candidate
 			if(req.headers['content-type'] !== 'application/trickle-ice-sdpfrag') {
-				res.status(406);
-				res.send('Unsupported content type');
+				this._sendProblem(res, 'unsupported-media-type');
 				return;
 			}
 			// Parse the RFC 8840 payload
@@ -622,7 +1605,7 @@ class JanusWhipServer extends EventEmitter {
 				}
 			}
 			// Check if there's a restart involved
-			if(iceUfrag && icePwd && (iceUfrag !== endpoint.ice.ufrag || icePwd !== endpoint.ice.pwd)) {
+			if(iceUfrag && icePwd && (iceUfrag !== session.ice.ufrag || icePwd !== session.ice.pwd)) {
 				// We need to restart
 				restart = true;
 			}
@@ -630,8 +1613,7 @@ class JanusWhipServer extends EventEmitter {
 			if((req.headers['if-match'] === '*' && !restart) || (req.headers['if-match'] !== '"*"' && restart)) {
 				if(this.config.strictETags) {
 					// Only return a failure if we're configured with strict ETag checking, ignore it otherwise
-					res.status(412);
-					res.send('Precondition Failed');
+					this._sendProblem(res, 'precondition-failed');
 					return;
 				}
 			}
@@ -639,36 +1621,48 @@ class JanusWhipServer extends EventEmitter {
 				if(!restart) {
 					// Trickle the candidate(s)
 					if(candidates.length > 0)
-						await endpoint.handle.trickle(candidates);
+						await session.handle.trickle(candidates);
 					// We're done
 					res.sendStatus(204);
 					return;
 				}
 				// If we got here, we need to do an ICE restart, which we do
 				// by generating a new fake offer and send it to Janus
-				this.logger.info('[' + id + '] Performing ICE restart');
-				let oldUfrag = 'a=ice-ufrag:' + endpoint.ice.ufrag;
-				let oldPwd = 'a=ice-pwd:' + endpoint.ice.pwd;
+				logger.info('Performing ICE restart');
+				if(this.metrics)
+					this.metrics.inc('whip_ice_restarts_total', { plugin: endpoint.plugin });
+				let oldUfrag = 'a=ice-ufrag:' + session.ice.ufrag;
+				let oldPwd = 'a=ice-pwd:' + session.ice.pwd;
 				let newUfrag = 'a=ice-ufrag:' + iceUfrag;
 				let newPwd = 'a=ice-pwd:' + icePwd;
-				endpoint.sdpOffer = endpoint.sdpOffer
+				session.sdpOffer = session.sdpOffer
 					.replace(new RegExp(oldUfrag, 'g'), newUfrag)
 					.replace(new RegExp(oldPwd, 'g'), newPwd);
-				endpoint.ice.ufrag = iceUfrag;
-				endpoint.ice.pwd = icePwd;
+				session.ice.ufrag = iceUfrag;
+				session.ice.pwd = icePwd;
 				// Generate a new ETag too
-				endpoint.latestEtag = this.generateRandomString(16);
-				this.logger.verb('New ETag: ' + endpoint.latestEtag);
+				session.latestEtag = this.generateRandomString(16);
+				logger.verb('New ETag: ' + session.latestEtag);
 				// Send the new offer
-				const result = await endpoint.handle.configure({
+				let adapter = this.plugins.get(endpoint.plugin);
+				const result = await adapter.restart({
+					server: this,
+					endpoint: endpoint,
+					session: session,
+					handle: session.handle,
 					jsep: {
 						type: 'offer',
-						sdp: endpoint.sdpOffer
+						sdp: session.sdpOffer
 					}
 				});
+				this._notify(endpoint, 'ice-restart', {
+					endpoint: id,
+					resource: rid,
+					plugin: endpoint.plugin
+				});
 				// Now that we have a response, trickle the candidates we received
-				if(candidates.length > 0 && this.janus)
-					await endpoint.handle.trickle(candidates);
+				if(candidates.length > 0 && session.backend && session.backend.janus)
+					await session.handle.trickle(candidates);
 				// Read the ICE credentials/candidates and send them back
 				let serverUfrag, serverPwd, serverCandidates = [];
 
@@ -687,14 +1681,13 @@ class JanusWhipServer extends EventEmitter {
 				});
 				const payload = payloadLines.join('\r\n') + '\r\n';
 
-				res.set('ETag', '"' + endpoint.latestEtag + '"');
+				res.set('ETag', '"' + session.latestEtag + '"');
 				res.writeHeader(200, { 'Content-Type': 'application/trickle-ice-sdpfrag' });
 				res.write(payload);
 				res.end();
 			} catch(err) {
-				this.logger.err('Error patching:', err);
-				res.status(500);
-				res.send(err.error);
+				logger.err('Error patching:', err);
+				this._sendError(res, endpoint, err);
 			}
 		});
 
@@ -703,73 +1696,65 @@ class JanusWhipServer extends EventEmitter {
 			let rid = req.params.rid;
 			let id = this.resources.get(rid);
 			if(!rid || !id) {
-				res.status(404);
-				res.send('Invalid resource ID');
+				this._sendProblem(res, 'resource-not-found');
 				return;
 			}
 			let endpoint = this.endpoints.get(id);
 			if(!endpoint) {
-				res.status(404);
-				res.send('Invalid endpoint ID');
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			let session = endpoint.sessions.get(rid);
+			if(!session) {
+				this._sendProblem(res, 'resource-not-found');
 				return;
 			}
 			// Check the Bearer token
-			let auth = req.headers['authorization'];
-			if(endpoint.token) {
-				if(!auth || auth.indexOf('Bearer ') < 0) {
-					res.status(403);
-					res.send('Unauthorized');
-					return;
-				}
-				let authtoken = auth.split('Bearer ')[1];
-				if(typeof endpoint.token === 'function') {
-					if(!endpoint.token(authtoken)) {
-						res.status(403);
-						res.send('Unauthorized');
-						return;
-					}
-				} else if(!authtoken || authtoken.length === 0 || authtoken !== endpoint.token) {
-					res.status(403);
-					res.send('Unauthorized');
-					return;
-				}
+			if(!(await this._checkAuthorization(endpoint, req, session))) {
+				this._sendProblem(res, 'unauthorized');
+				return;
 			}
-			this.logger.verb('/resource/:', id);
+			session.logger.child({ request: req.requestId }).verb('/resource/:', id, rid);
 			// Get rid of the Janus publisher
-			if(this.janus && endpoint.handle)
-				await endpoint.handle.detach().catch(_err => {});
-			endpoint.enabled = false;
-			endpoint.enabling = false;
-			delete endpoint.handle;
-			delete endpoint.publisher;
-			delete endpoint.sdpOffer;
-			delete endpoint.ice;
-			if(endpoint.resourceId)
-				this.resources.delete(endpoint.resourceId);
-			delete endpoint.resourceId;
-			delete endpoint.resource;
-			delete endpoint.latestEtag;
-			this.logger.info('[' + id + '] Terminating WHIP session');
-			endpoint.emit('endpoint-inactive');
-			this.emit('endpoint-inactive', id);
+			await this._teardownSession(endpoint, session, { reason: 'deleted' });
 			// Done
 			res.sendStatus(200);
 		});
 
 		// GET, HEAD, POST and PUT on the resource must return a 405
 		router.get('/resource/:rid', (_req, res) => {
-			res.sendStatus(405);
+			this._sendProblem(res, 'method-not-allowed', resourceMethods);
 		});
 		router.head('/resource/:rid', (_req, res) => {
-			res.sendStatus(405);
+			this._sendProblem(res, 'method-not-allowed', resourceMethods);
 		});
 		router.post('/resource/:rid', (_req, res) => {
-			res.sendStatus(405);
+			this._sendProblem(res, 'method-not-allowed', resourceMethods);
 		});
 		router.put('/resource/:rid', (_req, res) => {
-			res.sendStatus(405);
+			this._sendProblem(res, 'method-not-allowed', resourceMethods);
 		});
 
+		// Admin API to manage endpoints via REST, if enabled
+		if(this.config.rest.admin)
+			this._setupAdminRest(router);
+
+		// Prometheus metrics, if enabled
+		if(this.metrics) {
+			router.get(this.config.rest.metrics.path, (req, res) => {
+				if(this.config.rest.metrics.token) {
+					let auth = req.headers['authorization'];
+					if(!auth || auth !== 'Bearer ' + this.config.rest.metrics.token) {
+						this._sendProblem(res, 'unauthorized');
+						return;
+					}
+				}
+				res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+				res.status(200);
+				res.send(this.metrics.render());
+			});
+		}
+
 		// Setup CORS
 		app.use(cors({ preflightContinue: true }));
 
@@ -779,13 +1764,250 @@ class JanusWhipServer extends EventEmitter {
 		app.use(express.text({ type: 'application/trickle-ice-sdpfrag' }));
 		app.use(this.config.rest.basePath, router);
 	}
+
+	// Admin REST API setup
+	_setupAdminRest(router) {
+		// All admin requests must provide the admin token as a Bearer token
+		router.use('/admin', (req, res, next) => {
+			let auth = req.headers['authorization'];
+			let authtoken = (auth && auth.indexOf('Bearer ') === 0) ? auth.split('Bearer ')[1] : null;
+			if(!authtoken || !this._checkAdminToken(authtoken)) {
+				this._sendProblem(res, 'unauthorized');
+				return;
+			}
+			next();
+		});
+
+		// List all endpoints
+		router.get('/admin/endpoints', (req, res) => {
+			this.logger.child({ request: req.requestId }).verb('/admin/endpoints');
+			let list = [];
+			this.endpoints.forEach(function(endpoint) {
+				list.push(endpoint.getDetails());
+			});
+			res.status(200).json(list);
+		});
+		// Create a new endpoint
+		router.post('/admin/endpoints', (req, res) => {
+			let logger = this.logger.child({ request: req.requestId });
+			logger.verb('/admin/endpoints[create]');
+			logger.debug(req.body);
+			let options = req.body;
+			if(!req.is('application/json') || !options || typeof options !== 'object') {
+				this._sendProblem(res, 'unsupported-media-type');
+				return;
+			}
+			if(options.id && this.endpoints.has(options.id)) {
+				this._sendProblem(res, 'endpoint-exists');
+				return;
+			}
+			let endpoint = null;
+			try {
+				endpoint = this.createEndpoint(options);
+			} catch(err) {
+				this._sendProblem(res, 'invalid-settings', { detail: err.message });
+				return;
+			}
+			res.setHeader('Location', this.config.rest.basePath + '/admin/endpoints/' + encodeURIComponent(endpoint.id));
+			res.status(201).json(endpoint.getDetails());
+		});
+		// Get the details of a specific endpoint
+		router.get('/admin/endpoints/:id', (req, res) => {
+			let id = req.params.id;
+			this.logger.child({ request: req.requestId }).verb('/admin/endpoints/:', id);
+			let endpoint = this.endpoints.get(id);
+			if(!endpoint) {
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			res.status(200).json(endpoint.getDetails());
+		});
+		// Update the settings of an existing endpoint: changes will only affect
+		// active sessions if updateSessions is set to true in the request
+		router.patch('/admin/endpoints/:id', async (req, res) => {
+			let id = req.params.id;
+			let logger = this.logger.child({ request: req.requestId });
+			logger.verb('/admin/endpoints[update]/:', id);
+			logger.debug(req.body);
+			let endpoint = this.endpoints.get(id);
+			if(!endpoint) {
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			let changes = req.body;
+			if(!req.is('application/json') || !changes || typeof changes !== 'object') {
+				this._sendProblem(res, 'unsupported-media-type');
+				return;
+			}
+			if(changes.id && changes.id !== id) {
+				this._sendProblem(res, 'invalid-settings', { detail: 'Can\'t change the ID of an endpoint' });
+				return;
+			}
+			try {
+				// Callbacks can't be provided via JSON, so we keep the existing ones
+				await this.updateEndpoint(Object.assign({}, changes, {
+					id: id,
+					authorize: endpoint.authorize,
+					customize: endpoint.customize
+				}));
+			} catch(err) {
+				this._sendProblem(res, 'invalid-settings', { detail: err.message });
+				return;
+			}
+			res.status(200).json(endpoint.getDetails());
+		});
+		// Terminate an active session of an endpoint
+		router.delete('/admin/endpoints/:id/sessions/:rid', async (req, res) => {
+			let id = req.params.id;
+			let rid = req.params.rid;
+			this.logger.child({ request: req.requestId }).verb('/admin/endpoints/:/sessions[destroy]/:', id, rid);
+			let endpoint = this.endpoints.get(id);
+			if(!endpoint) {
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			if(!endpoint.sessions.has(rid)) {
+				this._sendProblem(res, 'resource-not-found');
+				return;
+			}
+			try {
+				await this.terminateSession({ id: rid, reason: req.query.reason });
+			} catch(err) {
+				this._sendProblem(res, 'invalid-settings', { detail: err.message });
+				return;
+			}
+			res.sendStatus(204);
+		});
+		// Get the state of the active publishers of an endpoint
+		router.get('/admin/endpoints/:id/stats', async (req, res) => {
+			let id = req.params.id;
+			this.logger.child({ request: req.requestId }).verb('/admin/endpoints/:/stats', id);
+			let endpoint = this.endpoints.get(id);
+			if(!endpoint) {
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			res.status(200).json(await endpoint.getStats());
+		});
+		// Get the recordings of an endpoint
+		router.get('/admin/endpoints/:id/recordings', (req, res) => {
+			let id = req.params.id;
+			this.logger.child({ request: req.requestId }).verb('/admin/endpoints/:/recordings', id);
+			let endpoint = this.endpoints.get(id);
+			if(!endpoint) {
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			res.status(200).json(endpoint.getRecordings());
+		});
+		// Manage the RTP forwarders of the active publishers of an endpoint
+		router.get('/admin/endpoints/:id/forwarders', (req, res) => {
+			let id = req.params.id;
+			this.logger.child({ request: req.requestId }).verb('/admin/endpoints/:/forwarders', id);
+			let endpoint = this.endpoints.get(id);
+			if(!endpoint) {
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			res.status(200).json(endpoint.listForwarders());
+		});
+		router.post('/admin/endpoints/:id/forwarders', async (req, res) => {
+			let id = req.params.id;
+			let logger = this.logger.child({ request: req.requestId });
+			logger.verb('/admin/endpoints/:/forwarders[create]', id);
+			logger.debug(req.body);
+			let endpoint = this.endpoints.get(id);
+			if(!endpoint) {
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			if(!req.is('application/json') || !req.body || typeof req.body !== 'object') {
+				this._sendProblem(res, 'unsupported-media-type');
+				return;
+			}
+			let forwarder = null;
+			try {
+				forwarder = await endpoint.addForwarder({ resource: req.body.resource, recipient: req.body.recipient });
+			} catch(err) {
+				this._sendProblem(res, 'invalid-settings', { detail: err.message });
+				return;
+			}
+			res.status(201).json(forwarder);
+		});
+		router.delete('/admin/endpoints/:id/forwarders/:fid', async (req, res) => {
+			let id = req.params.id;
+			let fid = req.params.fid;
+			this.logger.child({ request: req.requestId }).verb('/admin/endpoints/:/forwarders[destroy]/:', id, fid);
+			let endpoint = this.endpoints.get(id);
+			if(!endpoint) {
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			if(!endpoint.listForwarders().find(f => f.id === fid)) {
+				this._sendProblem(res, 'forwarder-not-found');
+				return;
+			}
+			try {
+				await endpoint.removeForwarder({ id: fid });
+			} catch(err) {
+				this._sendProblem(res, 'invalid-settings', { detail: err.message });
+				return;
+			}
+			res.sendStatus(204);
+		});
+		// Destroy an endpoint
+		router.delete('/admin/endpoints/:id', async (req, res) => {
+			let id = req.params.id;
+			this.logger.child({ request: req.requestId }).verb('/admin/endpoints[destroy]/:', id);
+			let endpoint = this.endpoints.get(id);
+			if(!endpoint || endpoint.destroying) {
+				this._sendProblem(res, 'endpoint-not-found');
+				return;
+			}
+			try {
+				await this.destroyEndpoint({ id: id });
+			} catch(err) {
+				this.logger.warn('Error destroying endpoint', id + ':', err);
+				this._sendProblem(res, 'internal-error');
+				return;
+			}
+			res.sendStatus(204);
+		});
+	}
+
+	// Compare a token with the admin one in constant time: we hash both,
+	// as timingSafeEqual needs buffers of the same length
+	_checkAdminToken(authtoken) {
+		let provided = crypto.createHash('sha256').update(authtoken).digest();
+		let expected = crypto.createHash('sha256').update(String(this.config.rest.admin.token)).digest();
+		return crypto.timingSafeEqual(provided, expected);
+	}
+}
+// How long to wait before retrying after a failed attempt to reconnect to Janus, in milliseconds
+JanusWhipServer.RECONNECT_DELAY = 3000;
+
+// Janus backend class
+class JanusWhipBackend {
+	constructor({ id, address, admin }) {
+		this.id = id;
+		this.address = address;
+		this.admin = admin;
+		this.connection = null;
+		this.janus = null;
+		this.adminConnection = null;
+		this.reconnects = 0;
+		// Sessions lost while disconnected, whose plugin resources still need releasing
+		this.orphans = [];
+	}
 }
 
 // WHIP endpoint class
 class JanusWhipEndpoint extends EventEmitter {
-	constructor({ id, plugin, room, secret, adminKey, pin, label, token, iceServers, recipient, recipients, customize }) {
+	constructor({ id, plugin, room, secret, adminKey, pin, label, token, jwt, iceServers, recipients, record, recordMix, filename, createRoom, destroyRoom, maxSessions = 1, maxDuration, idleTimeout, sdpPolicy, pluginOptions, webhooks = [], authorize, customize, logger, server }) {
 		super();
 		this.id = id;
+		this.logger = logger;
+		this.server = server;
 		this.plugin = plugin;
 		this.room = room;
 		this.secret = secret;
@@ -793,63 +2015,1410 @@ class JanusWhipEndpoint extends EventEmitter {
 		this.pin = pin;
 		this.label = label;
 		this.token = token;
+		this.jwt = jwt;
 		this.iceServers = iceServers;
 		this.recipients = recipients;
+		this.record = record;
+		this.recordMix = recordMix;
+		this.filename = filename;
+		this.createRoom = createRoom;
+		this.destroyRoom = destroyRoom;
+		this.maxSessions = maxSessions;
+		this.maxDuration = maxDuration;
+		this.idleTimeout = idleTimeout;
+		this.sdpPolicy = sdpPolicy;
+		this.pluginOptions = pluginOptions;
+		this.webhooks = webhooks;
+		this.authorize = authorize;
 		this.customize = customize;
+		// Active WHIP sessions, indexed by resource ID
+		this.sessions = new Map();
+		// Recordings of past WHIP sessions, most recent last
+		this.recordings = [];
+		// Rooms we created for this endpoint, indexed by backend and room
+		this.createdRooms = new Map();
+		// Whether the endpoint was resolved on demand, and must be destroyed
+		// as soon as it's not used anymore, and how many requests are using it
+		this.transient = false;
+		this.pendingRequests = 0;
+		// Whether destroyEndpoint was called, and is tearing down the sessions
+		this.destroying = false;
+	}
+
+	// An endpoint is enabled if there's at least an active publisher
+	get enabled() {
+		for(let session of this.sessions.values()) {
+			if(session.enabled)
+				return true;
+		}
+		return false;
+	}
+
+	getDetails() {
+		return {
+			id: this.id,
+			plugin: this.plugin,
+			room: this.room,
+			label: this.label,
+			protected: (this.token || this.jwt || this.authorize) ? true : false,
+			dynamic: this.customize ? true : false,
+			// Never return the secrets used to generate TURN credentials
+			iceServers: this.iceServers ? this.iceServers.map(s => s.secret ? Object.assign({}, s, { secret: undefined }) : s) : undefined,
+			recipients: this.recipients,
+			record: this.record,
+			recordMix: this.recordMix,
+			filename: this.filename,
+			createRoom: this.createRoom,
+			destroyRoom: this.destroyRoom,
+			maxSessions: this.maxSessions,
+			maxDuration: this.maxDuration,
+			idleTimeout: this.idleTimeout,
+			webhooks: this.webhooks.map(w => w.url),
+			transient: this.transient,
+			enabled: this.enabled,
+			sessions: Array.from(this.sessions.values()).filter(s => s.enabled).map(s => s.getDetails())
+		};
+	}
+
+	// Keep track of the recordings of a WHIP session that just ended
+	addRecording(session) {
+		this.recordings.push({
+			resource: session.id,
+			room: session.room,
+			files: session.recordings,
+			startTime: session.startTime,
+			endTime: Date.now()
+		});
+		if(this.recordings.length > JanusWhipEndpoint.MAX_RECORDINGS)
+			this.recordings.shift();
+	}
+
+	// List the recordings of active and past WHIP sessions
+	getRecordings() {
+		let list = this.recordings.map(r => Object.assign({ active: false }, r));
+		for(let session of this.sessions.values()) {
+			if(session.enabled && session.recordings.length > 0) {
+				list.push({
+					resource: session.id,
+					room: session.room,
+					files: session.recordings,
+					startTime: session.startTime,
+					active: true
+				});
+			}
+		}
+		return list;
+	}
+
+	// Get the state of the PeerConnections of the active publishers, via
+	// the Janus Admin API: errors are reported for each session separately
+	async getStats() {
+		let list = [];
+		for(let session of Array.from(this.sessions.values())) {
+			if(!session.enabled)
+				continue;
+			let stats = {
+				resource: session.id,
+				backend: session.backend ? session.backend.id : undefined
+			};
+			try {
+				Object.assign(stats, await this.server._getSessionStats(session));
+			} catch(err) {
+				stats.error = err.message;
+			}
+			list.push(stats);
+		}
+		return list;
+	}
+
+	// Start a new RTP forwarder for an active publisher: the resource
+	// is only needed if there's more than one active session
+	async addForwarder({ resource, recipient }) {
+		if(!recipient || typeof recipient !== 'object')
+			throw new Error('Invalid recipient (not an object)');
+		let session = this._getActiveSession(resource);
+		let adapter = this.server.plugins.get(this.plugin);
+		let streams = await adapter.startForward({
+			server: this.server,
+			endpoint: this,
+			session: session,
+			handle: session.handle,
+			settings: session.settings,
+			recipient: recipient
+		});
+		let forwarder = session.addForwarder({ id: this.server.generateRandomString(8), recipient: recipient, streams: streams });
+		session.logger.info('Started RTP forwarder', forwarder.id);
+		return forwarder;
+	}
+
+	// List the RTP forwarders of all active publishers
+	listForwarders() {
+		let list = [];
+		for(let session of this.sessions.values()) {
+			if(session.enabled)
+				list = list.concat(Array.from(session.forwarders.values()));
+		}
+		return list;
+	}
+
+	// Stop an existing RTP forwarder
+	async removeForwarder({ id }) {
+		let session = Array.from(this.sessions.values()).find(s => s.enabled && s.forwarders.has(id));
+		if(!id || !session)
+			throw new Error('Invalid forwarder ID');
+		let adapter = this.server.plugins.get(this.plugin);
+		await adapter.stopForward({
+			server: this.server,
+			endpoint: this,
+			session: session,
+			handle: session.handle,
+			settings: session.settings,
+			forwarder: session.forwarders.get(id)
+		});
+		session.forwarders.delete(id);
+		session.logger.info('Stopped RTP forwarder', id);
+	}
+
+	_getActiveSession(resource) {
+		let active = Array.from(this.sessions.values()).filter(s => s.enabled);
+		let session = resource ? active.find(s => s.id === resource) : active[0];
+		if(!resource && active.length > 1)
+			throw new Error('Multiple active sessions, a resource ID is needed');
+		if(!session)
+			throw new Error('No active session');
+		return session;
+	}
+}
+// How many recordings of past sessions an endpoint keeps track of
+JanusWhipEndpoint.MAX_RECORDINGS = 100;
+
+// WHIP session class
+class JanusWhipSession {
+	constructor({ id, resource, etag }) {
+		this.id = id;
+		this.resource = resource;
+		this.latestEtag = etag;
 		this.enabled = false;
+		this.closed = false;
+		// ICE and media state, as notified by Janus: media is
+		// indexed by mid (or type), and simulcast substream
+		this.connected = false;
+		this.media = {};
+		// Timers to enforce the session lifetime limits
+		this.durationTimer = null;
+		this.idleTimer = null;
+		// RTP forwarders, indexed by ID
+		this.forwarders = new Map();
+		// Paths of the recordings Janus is saving for this session, if any
+		this.recordings = [];
+	}
+
+	// Keep track of a new RTP forwarder, and the IDs of the Janus streams it involves
+	addForwarder({ id, recipient, streams }) {
+		let forwarder = { id: id, resource: this.id, recipient: recipient, streams: streams };
+		this.forwarders.set(id, forwarder);
+		return forwarder;
+	}
+
+	getDetails() {
+		return {
+			id: this.id,
+			resource: this.resource,
+			room: this.room,
+			label: this.label,
+			backend: this.backend ? this.backend.id : undefined,
+			startTime: this.startTime,
+			forwarders: Array.from(this.forwarders.values()),
+			recordings: this.recordings.length > 0 ? this.recordings : undefined
+		};
+	}
+}
+
+// Base plugin adapter class: adapters for the plugins to publish to must extend it
+class JanusWhipPlugin {
+	constructor({ plugin, multipleSessions = false, roomChanges = false, forwarding = false, recording = false, roomCreation = false, errors = {} } = {}) {
+		// Janode plugin descriptor to attach to
+		this.plugin = plugin;
+		// Whether multiple publishers can share the same endpoint
+		this.multipleSessions = (multipleSessions === true);
+		// Whether active publishers can be moved to a different room
+		this.roomChanges = (roomChanges === true);
+		// Whether publishers can be forwarded to plain RTP recipients
+		this.forwarding = (forwarding === true);
+		// Whether publishers can be recorded
+		this.recording = (recording === true);
+		// Whether rooms can be created on demand
+		this.roomCreation = (roomCreation === true);
+		// Problem types to return for the error codes of the plugin
+		this.errors = errors;
+	}
+
+	// Validate the settings of a new endpoint, throwing an error if they're invalid
+	validate(_options) {}
+
+	// Attach a new handle to the plugin
+	async attach(janus) {
+		return janus.attach(this.plugin);
+	}
+
+	// Send the SDP offer of a new publisher: must return an
+	// object containing the SDP answer in a "jsep" property
+	async publish(_context) {
+		throw new Error('Plugin adapter doesn\'t implement publish');
+	}
+
+	// Send an updated SDP offer for an existing publisher, e.g., for ICE restarts:
+	// must return an object containing the SDP answer in a "jsep" property
+	async restart({ handle, jsep }) {
+		return handle.configure({ jsep: jsep });
+	}
+
+	// Start forwarding an active publisher to a plain RTP recipient: must
+	// return an array with the IDs of the streams created by the plugin
+	async startForward(_context) {
+		throw new Error('Plugin adapter doesn\'t support RTP forwarding');
+	}
+
+	// Stop an RTP forwarder created by startForward
+	async stopForward(_context) {
+		throw new Error('Plugin adapter doesn\'t support RTP forwarding');
+	}
+
+	// Make sure the room in the settings exists, creating it with the provided
+	// properties if it doesn't: must return true if the room was created. The
+	// default implementation works with the Janode handles of room based
+	// plugins (VideoRoom and AudioBridge), which all have the same requests
+	async createRoom({ endpoint, handle, settings, properties }) {
+		let result = await handle.exists({ room: settings.room });
+		if(result.exists)
+			return false;
+		// The properties can't override the room or its credentials
+		await handle.create(Object.assign({ description: endpoint.label }, properties, {
+			room: settings.room,
+			secret: settings.secret,
+			pin: settings.pin,
+			admin_key: settings.adminKey
+		})).catch(async err => {
+			// Another publisher may have created the room in the meanwhile
+			result = await handle.exists({ room: settings.room });
+			if(!result.exists)
+				throw err;
+		});
+		return !result.exists;
+	}
+
+	// Destroy a room that was created by createRoom
+	async destroyRoom({ handle, room, secret }) {
+		await handle.destroy({ room: room, secret: secret });
+	}
+
+	// Get the path to record a session to, from the filename template
+	// of the endpoint (or a default one), replacing the placeholders
+	getFilename({ endpoint, session, settings }) {
+		let template = settings.filename ? settings.filename : 'whip-{endpoint}-{resource}';
+		return template.replace(/{(endpoint|resource|room|timestamp)}/g, (_match, name) => {
+			if(name === 'endpoint')
+				return endpoint.id;
+			if(name === 'resource')
+				return session.id;
+			if(name === 'room')
+				return session.room;
+			return Date.now();
+		});
+	}
+
+	// Map an error to the problem type to return to the client: Janus errors
+	// have the error code at the beginning of the message, e.g., "426 No such room"
+	getProblem(err) {
+		let match = /^(\d{3}) /.exec(err && typeof err.message === 'string' ? err.message : '');
+		if(!match)
+			return 'internal-error';
+		let code = parseInt(match[1]);
+		if(this.errors[code])
+			return this.errors[code];
+		// Invalid SDP, as reported by the Janus core
+		if(code === 465)
+			return 'offer-rejected';
+		return 'janus-error';
+	}
+
+	// Apply changes to the label and/or room of an active publisher
+	async update(_context) {
+		throw new Error('Plugin adapter doesn\'t support updating active sessions');
+	}
+
+	// Get rid of plugin specific resources, before the handle is detached: it's
+	// also called with a temporary handle after the handle of the session went
+	// away, if hasResources returns true, i.e., for resources that outlive it
+	async teardown(_context) {}
+
+	// Whether a session has plugin specific resources that outlive its handle
+	hasResources(_context) {
+		return false;
+	}
+}
+
+// VideoRoom plugin adapter
+class JanusWhipVideoRoomPlugin extends JanusWhipPlugin {
+	constructor() {
+		super({
+			plugin: {
+				id: VideoRoomPlugin.id,
+				Handle: JanusWhipVideoRoomHandle,
+				EVENT: VideoRoomPlugin.EVENT
+			},
+			multipleSessions: true,
+			// Active publishers can't be moved to a different room: the VideoRoom
+			// has no request for that, leaving a room closes the PeerConnection,
+			// and WHIP gives us no way to negotiate a new one with the client
+			roomChanges: false,
+			forwarding: true,
+			recording: true,
+			roomCreation: true,
+			errors: {
+				426: 'room-not-found',
+				432: 'room-full',
+				433: 'room-unauthorized',
+				434: 'publisher-conflict',
+				436: 'publisher-conflict',
+				437: 'offer-rejected'
+			}
+		});
+	}
+
+	validate({ room, recipients, recordMix, maxSessions, customize }) {
+		if(!room && !customize)
+			throw new Error('Invalid arguments');
+		if(recordMix)
+			throw new Error('Mix recording not supported by plugin videoroom');
+		// Each publisher is forwarded separately, so multiple publishers
+		// would send unrelated streams to the same ports of the recipients
+		if(maxSessions > 1 && recipients && recipients.length > 0)
+			throw new Error('Can\'t forward multiple VideoRoom publishers to the same recipients');
+	}
+
+	async publish({ server, endpoint, session, handle, settings, jsep }) {
+		let filename = settings.record ? this.getFilename({ endpoint, session, settings }) : undefined;
+		let publisher = await handle.joinConfigurePublisher({
+			room: settings.room,
+			pin: settings.pin,
+			display: settings.label,
+			audio: true,
+			video: true,
+			record: settings.record ? true : undefined,
+			filename: filename,
+			jsep: jsep
+		});
+		session.feed = publisher.feed;
+		if(filename)
+			session.recordings.push(...this._getRecordings(filename, jsep.sdp));
+		if(settings.recipients && settings.recipients.length > 0) {
+			for(let recipient of settings.recipients) {
+				if(recipient && recipient.host && (recipient.audioPort > 0 || recipient.videoPort > 0 ||
+						recipient.dataPort > 0 || Array.isArray(recipient.streams))) {
+					// Configure an RTP forwarder for this recipient
+					let streams = await this.startForward({ session, handle, settings, recipient });
+					session.addForwarder({ id: server.generateRandomString(8), recipient: recipient, streams: streams });
+				}
+			}
+		}
+		return publisher;
+	}
+
+	// Janus records each stream of a publisher to a different file, named
+	// after the path we pass, the media type and the index of the m-line
+	_getRecordings(filename, sdp) {
+		let files = [];
+		let mlines = sdp.split(/\r?\n/).filter(l => l.indexOf('m=') === 0);
+		mlines.forEach((line, mindex) => {
+			let m = line.match(/^m=(audio|video|application) (\d+)/);
+			if(m && m[2] !== '0')
+				files.push(filename + '-' + (m[1] === 'application' ? 'data' : m[1]) + '-' + mindex + '.mjr');
+		});
+		return files;
+	}
+
+	async startForward({ session, handle, settings, recipient }) {
+		if(!recipient.host || !(recipient.audioPort > 0 || recipient.videoPort > 0 ||
+				recipient.dataPort > 0 || Array.isArray(recipient.streams)))
+			throw new Error('Invalid recipient (missing host or ports)');
+		const max32 = Math.pow(2, 32) - 1;
+		let details = {
+			room: session.room,
+			feed: session.feed,
+			secret: settings.secret,
+			admin_key: settings.adminKey,
+			host: recipient.host,
+			host_family: recipient.hostFamily,
+			srtp_suite: recipient.srtpSuite,
+			srtp_crypto: recipient.srtpCrypto
+		};
+		if(Array.isArray(recipient.streams)) {
+			// Streams to forward, in the format the VideoRoom plugin expects
+			// (e.g., to only forward some m-lines, or simulcast substreams)
+			details.streams = recipient.streams;
+		} else {
+			Object.assign(details, {
+				audio_port: recipient.audioPort,
+				audio_rtcp_port: recipient.audioRtcpPort,
+				audio_ssrc: recipient.audioSsrc ?
+					recipient.audioSsrc : Math.floor(Math.random() * max32),
+				video_port: recipient.videoPort,
+				video_rtcp_port: recipient.videoRtcpPort,
+				video_ssrc: recipient.videoSsrc ?
+					recipient.videoSsrc : Math.floor(Math.random() * max32),
+				// Simulcast substreams, if any
+				video_port_2: recipient.videoPort2,
+				video_ssrc_2: recipient.videoSsrc2,
+				video_port_3: recipient.videoPort3,
+				video_ssrc_3: recipient.videoSsrc3,
+				data_port: recipient.dataPort
+			});
+		}
+		let result = await handle.startForward(details);
+		// Janus may return a single forwarder with different
+		// streams, or a list of forwarders with a stream each
+		let streams = [];
+		if(result.forwarder) {
+			for(let name of [ 'audio_stream', 'video_stream', 'video_stream_2', 'video_stream_3', 'data_stream' ]) {
+				if(result.forwarder[name])
+					streams.push(result.forwarder[name]);
+			}
+		}
+		if(Array.isArray(result.forwarders)) {
+			for(let f of result.forwarders) {
+				let stream = f.audio_stream || f.video_stream || f.data_stream;
+				if(stream)
+					streams.push(stream);
+			}
+		}
+		return streams;
+	}
+
+	async stopForward({ session, handle, settings, forwarder }) {
+		for(let stream of forwarder.streams) {
+			await handle.stopForward({
+				room: session.room,
+				feed: session.feed,
+				stream: stream,
+				secret: settings.secret,
+				admin_key: settings.adminKey
+			});
+		}
+	}
+
+	async update({ handle, changes }) {
+		if(changes.label !== undefined)
+			await handle.configure({ display: changes.label });
+	}
+}
+
+// AudioBridge plugin adapter
+class JanusWhipAudioBridgePlugin extends JanusWhipPlugin {
+	constructor() {
+		super({
+			plugin: {
+				id: AudioBridgePlugin.id,
+				Handle: JanusWhipAudioBridgeHandle,
+				EVENT: AudioBridgePlugin.EVENT
+			},
+			multipleSessions: true,
+			roomChanges: true,
+			forwarding: true,
+			recording: true,
+			roomCreation: true,
+			errors: {
+				485: 'room-not-found',
+				487: 'room-unauthorized',
+				491: 'publisher-conflict',
+				492: 'publisher-conflict',
+				493: 'offer-rejected'
+			}
+		});
+	}
+
+	validate({ room, recipients, customize }) {
+		if(!room && !customize)
+			throw new Error('Invalid arguments');
+		for(let recipient of (recipients || [])) {
+			if(!recipient.host || !(recipient.audioPort > 0))
+				throw new Error('Invalid recipient (missing host or audioPort)');
+		}
+	}
+
+	async publish({ server, endpoint, session, handle, settings, jsep }) {
+		let filename = settings.record ? this.getFilename({ endpoint, session, settings }) : undefined;
+		await handle.join({
+			room: settings.room,
+			pin: settings.pin,
+			display: settings.label,
+			record: settings.record ? true : undefined,
+			filename: filename
+		});
+		// Janus adds a suffix to the path we pass for participant recordings
+		if(filename)
+			session.recordings.push(filename + '-audio.mjr');
+		let publisher = await handle.configure({ jsep: jsep });
+		await this._startRecipients({ server, endpoint, session, handle, settings });
+		await this._startMixRecording({ endpoint, session, handle, settings });
+		return publisher;
+	}
+
+	async update({ server, endpoint, session, handle, settings, changes }) {
+		if(changes.room !== undefined) {
+			await handle.changeroom({
+				room: changes.room,
+				pin: settings.pin,
+				display: changes.label !== undefined ? changes.label : settings.label
+			});
+			// The mix of the previous room is not ours to forward or record anymore
+			await this._releaseForwarders({ endpoint, session, handle, settings });
+			await this._stopMixRecording({ endpoint, session, handle, settings });
+			session.room = changes.room;
+			await this._startRecipients({ server, endpoint, session, handle, settings });
+			await this._startMixRecording({ endpoint, session, handle, settings });
+		} else if(changes.label !== undefined) {
+			await handle.configure({ display: changes.label });
+		}
+	}
+
+	async teardown({ endpoint, session, handle, settings }) {
+		await this._releaseForwarders({ endpoint, session, handle, settings });
+		await this._stopMixRecording({ endpoint, session, handle, settings });
+	}
+
+	// Forwarders and the recording of the mix belong to the room, not to the participant
+	hasResources({ session }) {
+		return session.forwarders.size > 0 || session.mixRecording ? true : false;
+	}
+
+	// As forwarders, the recording of the mix is shared by all the
+	// publishers of the endpoint in the room: the first one starts
+	// it, and the last one to leave the room stops it
+	async _startMixRecording({ endpoint, session, handle, settings }) {
+		if(!settings.recordMix)
+			return;
+		let other = this._getRoomSession(endpoint, session);
+		if(other && other.mixRecording) {
+			session.mixRecording = other.mixRecording;
+		} else {
+			session.mixRecording = this.getFilename({ endpoint, session, settings }) + '.wav';
+			await handle.enableRecording({
+				room: session.room,
+				record: true,
+				filename: session.mixRecording,
+				secret: settings.secret
+			});
+		}
+		session.recordings.push(session.mixRecording);
+	}
+
+	async _stopMixRecording({ endpoint, session, handle, settings }) {
+		if(!session.mixRecording)
+			return;
+		session.mixRecording = null;
+		if(this._getRoomSession(endpoint, session))
+			return;
+		await handle.enableRecording({
+			room: session.room,
+			record: false,
+			secret: settings.secret
+		}).catch(err => session.logger.warn('Error stopping the recording of the mix:', err));
+	}
+
+	// AudioBridge forwarders send the mix of the whole room, so they're
+	// not tied to a specific participant: we only create the ones for the
+	// endpoint recipients if no other publisher of the endpoint did already
+	async _startRecipients({ server, endpoint, session, handle, settings }) {
+		if(!settings.recipients || settings.recipients.length === 0 || this._getRoomSession(endpoint, session))
+			return;
+		for(let recipient of settings.recipients) {
+			let streams = await this.startForward({ session, handle, settings, recipient });
+			session.addForwarder({ id: server.generateRandomString(8), recipient: recipient, streams: streams });
+		}
+	}
+
+	// When a publisher leaves the room, its forwarders are handed over to
+	// another publisher of the same endpoint in that room, if any, or stopped
+	async _releaseForwarders({ endpoint, session, handle, settings }) {
+		if(session.forwarders.size === 0)
+			return;
+		let heir = this._getRoomSession(endpoint, session);
+		for(let forwarder of session.forwarders.values()) {
+			if(heir) {
+				heir.addForwarder(forwarder);
+			} else {
+				await this.stopForward({ session, handle, settings, forwarder })
+					.catch(err => session.logger.warn('Error stopping RTP forwarder:', err));
+			}
+		}
+		session.forwarders.clear();
+	}
+
+	_getRoomSession(endpoint, session) {
+		return Array.from(endpoint.sessions.values()).find(s => s !== session && s.enabled && !s.closed &&
+			s.backend === session.backend && s.room === session.room);
+	}
+
+	async startForward({ session, handle, settings, recipient }) {
+		if(!recipient.host || !(recipient.audioPort > 0))
+			throw new Error('Invalid recipient (missing host or audioPort)');
+		let result = await handle.startForward({
+			room: session.room,
+			always: recipient.alwaysOn,
+			host: recipient.host,
+			host_family: recipient.hostFamily,
+			audio_port: recipient.audioPort,
+			ssrc: recipient.audioSsrc,
+			ptype: recipient.ptype,
+			codec: recipient.codec,
+			group: recipient.group,
+			secret: settings.secret,
+			admin_key: settings.adminKey
+		});
+		return (result.forwarder && result.forwarder.audio_stream) ? [ result.forwarder.audio_stream ] : [];
+	}
+
+	async stopForward({ session, handle, settings, forwarder }) {
+		for(let stream of forwarder.streams) {
+			await handle.stopForward({
+				room: session.room,
+				stream: stream,
+				secret: settings.secret,
+				admin_key: settings.adminKey
+			});
+		}
+	}
+}
+
+// Janode's VideoRoom handles don't pass SRTP settings or the host family
+// when starting RTP forwarders, so we extend them to add those ourselves
+class JanusWhipVideoRoomHandle extends VideoRoomPlugin.Handle {
+	async startForward(params) {
+		if(!params.host_family && (!params.srtp_suite || !params.srtp_crypto))
+			return super.startForward(params);
+		let body = {
+			request: 'rtp_forward',
+			room: params.room,
+			publisher_id: params.feed
+		};
+		const names = Array.isArray(params.streams) ?
+			[ 'host', 'host_family', 'streams' ] :
+			[ 'host', 'host_family', 'audio_port', 'audio_rtcp_port', 'audio_ssrc', 'video_port', 'video_rtcp_port', 'video_ssrc',
+				'video_port_2', 'video_ssrc_2', 'video_port_3', 'video_ssrc_3', 'data_port' ];
+		for(let name of names.concat([ 'srtp_suite', 'srtp_crypto', 'secret', 'admin_key' ])) {
+			if(params[name] !== undefined && params[name] !== null)
+				body[name] = params[name];
+		}
+		const response = await this.message(body);
+		const { data } = this._getPluginEvent(response);
+		if(!data || (!data.forwarder && !data.forwarders))
+			throw new Error('unexpected response to rtp_forward request');
+		return data;
+	}
+}
+
+// Janode's AudioBridge handles don't support moving participants
+// to a different room, so we extend them to add that ourselves
+class JanusWhipAudioBridgeHandle extends AudioBridgePlugin.Handle {
+	handleMessage(janus_message) {
+		const { plugindata, transaction } = janus_message;
+		if(plugindata && plugindata.data && plugindata.data.audiobridge === 'roomchanged') {
+			this.room = plugindata.data.room;
+			this.feed = plugindata.data.id;
+			this.closeTransactionWithSuccess(transaction, janus_message);
+			return { event: 'roomchanged', data: { room: this.room, feed: this.feed } };
+		}
+		return super.handleMessage(janus_message);
+	}
+
+	async changeroom({ room, pin, display }) {
+		let body = {
+			request: 'changeroom',
+			room: room
+		};
+		if(pin)
+			body.pin = pin;
+		if(typeof display === 'string')
+			body.display = display;
+		await this.message(body);
+		return { room: this.room, feed: this.feed };
+	}
+}
+
+// Record&Play plugin adapter
+class JanusWhipRecordPlayPlugin extends JanusWhipPlugin {
+	constructor() {
+		super({ plugin: RecordPlayPlugin });
+	}
+
+	async publish({ handle, settings, jsep }) {
+		return handle.record({
+			name: settings.label,
+			jsep: jsep
+		});
+	}
+}
+
+// NDI plugin adapter
+class JanusWhipNdiPlugin extends JanusWhipPlugin {
+	constructor() {
+		super({ plugin: JanusNdiPlugin });
+	}
+
+	async publish({ session, handle, settings, jsep }) {
+		let publisher = await handle.translate({
+			name: settings.label,
+			jsep: jsep
+		});
+		session.logger.info(JanusNdiPlugin.EVENT.JANUS_NDI_TALLY);
+		handle.on(JanusNdiPlugin.EVENT.JANUS_NDI_TALLY, (data) => {
+			session.logger.info('Tally:', data);
+		});
+		return publisher;
+	}
+}
+
+// SDP offer policy class
+class JanusWhipSdpPolicy {
+	constructor({ audioCodecs, videoCodecs, requireAudio = false, requireVideo = false, maxBitrate, dropMedia, munge }) {
+		if(audioCodecs && !Array.isArray(audioCodecs))
+			throw new Error('Invalid SDP policy, "audioCodecs" must be an array');
+		if(videoCodecs && !Array.isArray(videoCodecs))
+			throw new Error('Invalid SDP policy, "videoCodecs" must be an array');
+		if(maxBitrate !== undefined && (typeof maxBitrate !== 'number' || maxBitrate <= 0))
+			throw new Error('Invalid SDP policy, "maxBitrate" must be a positive number');
+		if(dropMedia && !Array.isArray(dropMedia))
+			throw new Error('Invalid SDP policy, "dropMedia" must be an array');
+		if(munge && typeof munge !== 'function')
+			throw new Error('Invalid SDP policy, "munge" must be a function');
+		this.codecs = {
+			audio: audioCodecs ? audioCodecs.map(c => c.toLowerCase()) : null,
+			video: videoCodecs ? videoCodecs.map(c => c.toLowerCase()) : null
+		};
+		this.requireAudio = (requireAudio === true);
+		this.requireVideo = (requireVideo === true);
+		this.maxBitrate = maxBitrate;
+		this.dropMedia = dropMedia ? dropMedia : [];
+		this.munge = munge;
+	}
+
+	// Apply the policy to an SDP offer: returns the SDP to send to Janus,
+	// or throws an error if the offer is not acceptable
+	async apply(sdp, context) {
+		// Split the SDP in the session section and one section per m-line
+		let sections = [];
+		let current = { lines: [] };
+		sections.push(current);
+		for(let line of sdp.split(/\r?\n/)) {
+			if(line.length === 0)
+				continue;
+			if(line.indexOf('m=') === 0) {
+				current = { lines: [] };
+				sections.push(current);
+			}
+			current.lines.push(line);
+		}
+		let session = sections.shift();
+		let dropped = [];
+		let found = { audio: false, video: false };
+		for(let media of sections) {
+			let mline = media.lines[0].split(' ');
+			let kind = mline[0].substring(2);
+			let mid = media.lines.find(l => l.indexOf('a=mid:') === 0);
+			if(mline[1] === '0')
+				continue;
+			if(this.dropMedia.indexOf(kind) !== -1) {
+				// Reject this m-line
+				mline[1] = '0';
+				media.lines[0] = mline.join(' ');
+				if(mid)
+					dropped.push(mid.split('a=mid:')[1]);
+				continue;
+			}
+			if(this.codecs[kind]) {
+				// Only keep the allowed codecs, in the order of preference of the policy
+				let rtpmaps = {}, apts = {};
+				for(let l of media.lines) {
+					let m = l.match(/^a=rtpmap:(\d+) ([^/]+)/);
+					if(m)
+						rtpmaps[m[1]] = m[2].toLowerCase();
+					m = l.match(/^a=fmtp:(\d+) .*apt=(\d+)/);
+					if(m)
+						apts[m[1]] = m[2];
+				}
+				let pts = mline.slice(3);
+				let kept = pts.filter(pt => rtpmaps[pt] !== 'rtx' && this.codecs[kind].indexOf(rtpmaps[pt]) !== -1);
+				if(kept.length === 0)
+					throw new Error('No allowed ' + kind + ' codec in the offer');
+				kept.sort((a, b) => this.codecs[kind].indexOf(rtpmaps[a]) - this.codecs[kind].indexOf(rtpmaps[b]));
+				// Keep the retransmission payload types of the codecs we kept
+				let order = [];
+				for(let pt of kept) {
+					order.push(pt);
+					let rtx = pts.find(p => rtpmaps[p] === 'rtx' && apts[p] === pt);
+					if(rtx)
+						order.push(rtx);
+				}
+				media.lines[0] = mline.slice(0, 3).concat(order).join(' ');
+				media.lines = media.lines.filter(l => {
+					let m = l.match(/^a=(rtpmap|fmtp|rtcp-fb):(\d+) /);
+					return !m || order.indexOf(m[2]) !== -1;
+				});
+			}
+			if(this.maxBitrate && (kind === 'audio' || kind === 'video')) {
+				// Cap the bitrate, taking into account existing limits
+				let as = this.maxBitrate, tias = this.maxBitrate * 1000;
+				for(let l of media.lines) {
+					if(l.indexOf('b=AS:') === 0)
+						as = Math.min(as, parseInt(l.split('b=AS:')[1]));
+					else if(l.indexOf('b=TIAS:') === 0)
+						tias = Math.min(tias, parseInt(l.split('b=TIAS:')[1]));
+				}
+				tias = Math.min(tias, as * 1000);
+				as = Math.min(as, Math.ceil(tias / 1000));
+				media.lines = media.lines.filter(l => l.indexOf('b=AS:') !== 0 && l.indexOf('b=TIAS:') !== 0);
+				// The bandwidth lines go after the m=, i= and c= lines (RFC 8866),
+				// which may be missing, e.g., when the address is in the session
+				let index = 0;
+				media.lines.forEach((l, i) => {
+					if(l.indexOf('i=') === 0 || l.indexOf('c=') === 0)
+						index = i;
+				});
+				media.lines.splice(index + 1, 0, 'b=AS:' + as, 'b=TIAS:' + tias);
+			}
+			if(kind === 'audio' || kind === 'video')
+				found[kind] = true;
+		}
+		if(this.requireAudio && !found.audio)
+			throw new Error('Missing audio in the offer');
+		if(this.requireVideo && !found.video)
+			throw new Error('Missing video in the offer');
+		if(dropped.length > 0) {
+			// Remove the rejected m-lines from the BUNDLE group
+			session.lines = session.lines.map(l => {
+				if(l.indexOf('a=group:BUNDLE ') !== 0)
+					return l;
+				return l.split(' ').filter(mid => dropped.indexOf(mid) === -1).join(' ');
+			});
+		}
+		let lines = session.lines;
+		for(let media of sections)
+			lines = lines.concat(media.lines);
+		sdp = lines.join('\r\n') + '\r\n';
+		// If the application provided a custom function, invoke it too
+		if(this.munge) {
+			let munged = await this.munge(sdp, context);
+			if(typeof munged === 'string')
+				sdp = munged;
+		}
+		return sdp;
+	}
+}
+
+// JWT validation class
+class JanusWhipJwt {
+	constructor({ secret, key, algorithms, audience, issuer, endpointClaim = 'endpoint', clockTolerance = 0 }) {
+		if(!secret && !key)
+			throw new Error('Invalid JWT settings, one of "secret" and "key" should be set');
+		if(secret && key)
+			throw new Error('Invalid JWT settings, can\'t provide both "secret" and "key"');
+		if(secret) {
+			// Shared secret, only HS256 is supported
+			this.secret = secret;
+			this.algorithms = [ 'HS256' ];
+		} else {
+			// Public key, either as a PEM string or a JWK object
+			this.key = (key instanceof crypto.KeyObject) ? key :
+				crypto.createPublicKey(typeof key === 'string' ? key : { key: key, format: 'jwk' });
+			let type = this.key.asymmetricKeyType;
+			if(type === 'rsa')
+				this.algorithms = [ 'RS256' ];
+			else if(type === 'ec')
+				this.algorithms = [ 'ES256' ];
+			else
+				throw new Error('Invalid JWT settings, unsupported key type');
+		}
+		if(algorithms) {
+			if(!Array.isArray(algorithms) || algorithms.find(a => this.algorithms.indexOf(a) === -1))
+				throw new Error('Invalid JWT settings, unsupported algorithms for the provided secret or key');
+			this.algorithms = algorithms;
+		}
+		this.audience = (audience && !Array.isArray(audience)) ? [ audience ] : audience;
+		this.issuer = issuer;
+		this.endpointClaim = endpointClaim;
+		this.clockTolerance = clockTolerance;
+	}
+
+	// Verify a JWT: returns the decoded claims, or throws an error if the token is invalid
+	verify(token, endpointId) {
+		let parts = token.split('.');
+		if(parts.length !== 3)
+			throw new Error('Malformed token');
+		let header = null, claims = null;
+		try {
+			header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+			claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+		} catch(_err) {
+			throw new Error('Malformed token');
+		}
+		if(!header || !claims || typeof claims !== 'object')
+			throw new Error('Malformed token');
+		if(this.algorithms.indexOf(header.alg) === -1)
+			throw new Error('Unsupported algorithm');
+		// Check the signature
+		let data = Buffer.from(parts[0] + '.' + parts[1]);
+		let signature = Buffer.from(parts[2], 'base64url');
+		let valid = false;
+		if(header.alg === 'HS256') {
+			let expected = crypto.createHmac('sha256', this.secret).update(data).digest();
+			valid = (expected.length === signature.length && crypto.timingSafeEqual(expected, signature));
+		} else if(header.alg === 'RS256') {
+			valid = crypto.verify('sha256', data, this.key, signature);
+		} else if(header.alg === 'ES256') {
+			valid = crypto.verify('sha256', data, { key: this.key, dsaEncoding: 'ieee-p1363' }, signature);
+		}
+		if(!valid)
+			throw new Error('Invalid signature');
+		// Check the claims
+		let now = Math.floor(Date.now() / 1000);
+		if(typeof claims.exp === 'number' && now >= claims.exp + this.clockTolerance)
+			throw new Error('Token expired');
+		if(typeof claims.nbf === 'number' && now < claims.nbf - this.clockTolerance)
+			throw new Error('Token not active yet');
+		if(this.audience) {
+			let aud = Array.isArray(claims.aud) ? claims.aud : [ claims.aud ];
+			if(!aud.find(a => this.audience.indexOf(a) !== -1))
+				throw new Error('Invalid audience');
+		}
+		if(this.issuer && claims.iss !== this.issuer)
+			throw new Error('Invalid issuer');
+		if(this.endpointClaim) {
+			let endpoint = claims[this.endpointClaim];
+			if(Array.isArray(endpoint) ? endpoint.indexOf(endpointId) === -1 : endpoint !== endpointId)
+				throw new Error('Invalid endpoint');
+		}
+		return claims;
+	}
+}
+
+// Webhook class: notifies an external HTTP server about WHIP events,
+// by sending JSON payloads signed with HMAC-SHA256 if a secret is set
+class JanusWhipWebhook {
+	constructor({ url, secret, events, retries = 3, backoff = 1000, timeout = 5000 } = {}) {
+		if(!url || typeof url !== 'string')
+			throw new Error('Invalid webhook, missing "url"');
+		if(events) {
+			if(!Array.isArray(events))
+				throw new Error('Invalid webhook, "events" must be an array');
+			for(let event of events) {
+				if(JanusWhipWebhook.EVENTS.indexOf(event) === -1)
+					throw new Error('Invalid webhook, unsupported event "' + event + '"');
+			}
+		}
+		if(!Number.isInteger(retries) || retries < 0)
+			throw new Error('Invalid webhook, "retries" must be a non-negative integer');
+		if(typeof backoff !== 'number' || !isFinite(backoff) || backoff < 0)
+			throw new Error('Invalid webhook, "backoff" must be a non-negative number');
+		if(typeof timeout !== 'number' || !isFinite(timeout) || timeout <= 0)
+			throw new Error('Invalid webhook, "timeout" must be a positive number');
+		this.url = url;
+		this.secret = secret;
+		this.events = events;
+		this.retries = retries;
+		this.backoff = backoff;
+		this.timeout = timeout;
+		// Pending retries, and whether we were cancelled and shouldn't retry anymore
+		this.timers = new Set();
+		this.cancelled = false;
+	}
+
+	// Send a notification, unless we're not interested in this event
+	notify(event, data, logger) {
+		if(this.events && this.events.indexOf(event) === -1)
+			return;
+		let body = JSON.stringify(Object.assign({ event: event, timestamp: Date.now() }, data));
+		let headers = {
+			'Content-Type': 'application/json',
+			'X-Whip-Event': event
+		};
+		if(this.secret)
+			headers['X-Whip-Signature'] = 'sha256=' + crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+		this._send(body, headers, 0, logger);
+	}
+
+	_send(body, headers, attempt, logger) {
+		fetch(this.url, {
+			method: 'POST',
+			headers: headers,
+			body: body,
+			signal: AbortSignal.timeout(this.timeout)
+		}).then(res => {
+			if(res.body)
+				res.body.cancel().catch(_err => {});
+			if(res.ok)
+				return;
+			let err = new Error('HTTP error ' + res.status);
+			// Only retry on server errors and rate limiting
+			err.retry = (res.status >= 500 || res.status === 429);
+			throw err;
+		}).catch(err => {
+			if(err.retry === false || attempt >= this.retries || this.cancelled) {
+				logger.warn('Error notifying webhook ' + this.url + ':', err.message);
+				return;
+			}
+			// Retry with an exponential backoff
+			let delay = this.backoff * Math.pow(2, attempt);
+			logger.verb('Error notifying webhook ' + this.url + ' (' + err.message + '), retrying in ' + delay + 'ms');
+			let timer = setTimeout(() => {
+				this.timers.delete(timer);
+				this._send(body, headers, attempt + 1, logger);
+			}, delay);
+			this.timers.add(timer);
+		});
+	}
+
+	// Stop any pending retry
+	cancel() {
+		this.cancelled = true;
+		for(let timer of this.timers)
+			clearTimeout(timer);
+		this.timers.clear();
+	}
+}
+JanusWhipWebhook.EVENTS = [ 'session-started', 'session-ended', 'ice-restart', 'janus-disconnected', 'publish-failed' ];
+
+// Rate limiter for WHIP requests: counters are kept in a store, which is
+// in-memory by default but can be replaced (e.g., to share them among
+// multiple instances), as long as it implements the same methods
+class JanusWhipRateLimiter {
+	constructor({ ip, endpoint, lockout, store } = {}) {
+		for(let [ name, limit ] of [ [ 'ip', ip ], [ 'endpoint', endpoint ] ]) {
+			if(!limit)
+				continue;
+			if(!Number.isInteger(limit.max) || limit.max < 1)
+				throw new Error('Invalid rate limit, "max" in "' + name + '" must be a positive integer');
+			if(typeof limit.window !== 'number' || limit.window <= 0)
+				throw new Error('Invalid rate limit, "window" in "' + name + '" must be a positive number');
+		}
+		if(lockout) {
+			if(!Number.isInteger(lockout.failures) || lockout.failures < 1)
+				throw new Error('Invalid rate limit, "failures" in "lockout" must be a positive integer');
+			if(typeof lockout.window !== 'number' || lockout.window <= 0)
+				throw new Error('Invalid rate limit, "window" in "lockout" must be a positive number');
+			if(typeof lockout.duration !== 'number' || lockout.duration <= 0)
+				throw new Error('Invalid rate limit, "duration" in "lockout" must be a positive number');
+		}
+		if(store && [ 'increment', 'get', 'reset' ].find(method => typeof store[method] !== 'function'))
+			throw new Error('Invalid rate limit, "store" must implement increment, get and reset');
+		this.ip = ip;
+		this.endpoint = endpoint;
+		this.lockout = lockout;
+		this.store = store ? store : new JanusWhipMemoryStore();
+	}
+
+	// Check if a request from this address can be served: returns an object
+	// with the reason and how many seconds to wait if not, or null otherwise
+	async checkAddress(ip) {
+		if(this.lockout) {
+			let locked = await this.store.get('lockout:' + ip);
+			if(locked)
+				return { reason: 'lockout', retryAfter: this._retryAfter(locked) };
+		}
+		if(this.ip) {
+			let counter = await this.store.increment('ip:' + ip, this.ip.window * 1000);
+			if(counter.count > this.ip.max)
+				return { reason: 'ip', retryAfter: this._retryAfter(counter) };
+		}
+		return null;
+	}
+
+	// Check if a new publish attempt on this endpoint can be served
+	async checkEndpoint(id) {
+		if(!this.endpoint)
+			return null;
+		let counter = await this.store.increment('endpoint:' + id, this.endpoint.window * 1000);
+		if(counter.count > this.endpoint.max)
+			return { reason: 'endpoint', retryAfter: this._retryAfter(counter) };
+		return null;
+	}
+
+	// Keep track of an authorization failure: returns true if the address
+	// is now locked out because of too many failures
+	async authFailed(ip) {
+		if(!this.lockout)
+			return false;
+		let counter = await this.store.increment('failures:' + ip, this.lockout.window * 1000);
+		if(counter.count < this.lockout.failures)
+			return false;
+		await this.store.reset('failures:' + ip);
+		await this.store.increment('lockout:' + ip, this.lockout.duration * 1000);
+		return true;
+	}
+
+	close() {
+		if(typeof this.store.close === 'function')
+			this.store.close();
+	}
+
+	_retryAfter(counter) {
+		return Math.max(1, Math.ceil((counter.resetTime - Date.now()) / 1000));
+	}
+}
+
+// In-memory store for the rate limiter: each counter is reset when its
+// window expires, and expired counters are purged periodically
+class JanusWhipMemoryStore {
+	constructor() {
+		this.counters = new Map();
+		this.timer = setInterval(() => this._purge(), 60000);
+		this.timer.unref();
+	}
+
+	// Increment a counter, starting a new window if needed: returns the
+	// count and the time (in milliseconds since the epoch) it will be reset
+	async increment(key, window) {
+		let now = Date.now();
+		let counter = this.counters.get(key);
+		if(!counter || counter.resetTime <= now) {
+			counter = { count: 0, resetTime: now + window };
+			this.counters.set(key, counter);
+		}
+		counter.count++;
+		return { count: counter.count, resetTime: counter.resetTime };
+	}
+
+	// Get a counter, if it exists and didn't expire
+	async get(key) {
+		let counter = this.counters.get(key);
+		if(!counter || counter.resetTime <= Date.now())
+			return null;
+		return { count: counter.count, resetTime: counter.resetTime };
+	}
+
+	async reset(key) {
+		this.counters.delete(key);
+	}
+
+	close() {
+		clearInterval(this.timer);
+		this.counters.clear();
+	}
+
+	_purge() {
+		let now = Date.now();
+		for(let [ key, counter ] of this.counters) {
+			if(counter.resetTime <= now)
+				this.counters.delete(key);
+		}
+	}
+}
+
+// Prometheus metrics class
+class JanusWhipMetrics {
+	constructor(server) {
+		this.server = server;
+		this.metrics = new Map();
+		this.define('whip_requests_total', 'counter', 'WHIP requests handled, by method, path and status code');
+		this.define('whip_auth_failures_total', 'counter', 'WHIP requests that failed authorization');
+		this.define('whip_rate_limited_total', 'counter', 'WHIP requests rejected because of rate limits, by reason');
+		this.define('whip_ice_restarts_total', 'counter', 'ICE restarts performed');
+		this.define('whip_sessions_started_total', 'counter', 'WHIP sessions started, by plugin');
+		this.define('whip_sessions_ended_total', 'counter', 'WHIP sessions ended, by plugin and reason');
+		this.define('whip_publish_duration_seconds', 'histogram', 'Time from the publish request to the 201 response',
+			[ 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ]);
+		this.define('whip_janus_disconnections_total', 'counter', 'Connections to Janus that were lost, by backend');
+		this.define('whip_janus_reconnections_total', 'counter', 'Reconnections to Janus, by backend');
+		// Keep track of the events the server emits
+		server.on('endpoint-active', (id) => {
+			let endpoint = server.endpoints.get(id);
+			this.inc('whip_sessions_started_total', { plugin: endpoint ? endpoint.plugin : 'unknown' });
+		});
+		server.on('endpoint-inactive', (id, _rid, reason) => {
+			let endpoint = server.endpoints.get(id);
+			this.inc('whip_sessions_ended_total', { plugin: endpoint ? endpoint.plugin : 'unknown', reason: reason ? reason : 'unknown' });
+		});
+		server.on('janus-disconnected', (backend) => {
+			this.inc('whip_janus_disconnections_total', { backend: backend });
+		});
+		server.on('janus-reconnected', (backend) => {
+			this.inc('whip_janus_reconnections_total', { backend: backend });
+		});
+	}
+
+	define(name, type, help, buckets) {
+		this.metrics.set(name, { type: type, help: help, buckets: buckets, values: new Map() });
+	}
+
+	inc(name, labels, value = 1) {
+		let metric = this.metrics.get(name);
+		let key = this._labels(labels);
+		metric.values.set(key, (metric.values.get(key) || 0) + value);
+	}
+
+	observe(name, labels, value) {
+		let metric = this.metrics.get(name);
+		let key = this._labels(labels);
+		let h = metric.values.get(key);
+		if(!h) {
+			h = { buckets: metric.buckets.map(() => 0), sum: 0, count: 0 };
+			metric.values.set(key, h);
+		}
+		metric.buckets.forEach((le, index) => {
+			if(value <= le)
+				h.buckets[index]++;
+		});
+		h.sum += value;
+		h.count++;
+	}
+
+	// Render all metrics in the Prometheus text format
+	render() {
+		let lines = [];
+		// Gauges are computed on the fly
+		let sessions = new Map(), endpoints = 0;
+		this.server.endpoints.forEach(function(endpoint) {
+			endpoints++;
+			let active = 0;
+			endpoint.sessions.forEach(function(session) {
+				if(session.enabled)
+					active++;
+			});
+			sessions.set(endpoint.plugin, (sessions.get(endpoint.plugin) || 0) + active);
+		});
+		lines.push('# HELP whip_endpoints Existing WHIP endpoints');
+		lines.push('# TYPE whip_endpoints gauge');
+		lines.push('whip_endpoints ' + endpoints);
+		lines.push('# HELP whip_sessions_active Active WHIP sessions, by plugin');
+		lines.push('# TYPE whip_sessions_active gauge');
+		sessions.forEach((count, plugin) => {
+			lines.push('whip_sessions_active' + this._labels({ plugin: plugin }) + ' ' + count);
+		});
+		lines.push('# HELP whip_janus_connected Whether the connection to a Janus backend is up');
+		lines.push('# TYPE whip_janus_connected gauge');
+		for(let backend of this.server.backends)
+			lines.push('whip_janus_connected' + this._labels({ backend: backend.id }) + ' ' + (backend.janus ? 1 : 0));
+		// Counters and histograms
+		this.metrics.forEach((metric, name) => {
+			lines.push('# HELP ' + name + ' ' + metric.help);
+			lines.push('# TYPE ' + name + ' ' + metric.type);
+			metric.values.forEach((value, key) => {
+				if(metric.type !== 'histogram') {
+					lines.push(name + key + ' ' + value);
+					return;
+				}
+				let prefix = key ? key.substring(0, key.length - 1) + ',' : '{';
+				metric.buckets.forEach((le, index) => {
+					lines.push(name + '_bucket' + prefix + 'le="' + le + '"} ' + value.buckets[index]);
+				});
+				lines.push(name + '_bucket' + prefix + 'le="+Inf"} ' + value.count);
+				lines.push(name + '_sum' + key + ' ' + value.sum);
+				lines.push(name + '_count' + key + ' ' + value.count);
+			});
+		});
+		return lines.join('\n') + '\n';
+	}
+
+	_labels(labels) {
+		if(!labels || Object.keys(labels).length === 0)
+			return '';
+		let list = Object.keys(labels).map(label => {
+			let value = ('' + labels[label]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+			return label + '="' + value + '"';
+		});
+		return '{' + list.join(',') + '}';
 	}
 }
 
 // Logger class
 class JanusWhipLogger {
-	constructor({ prefix, level }) {
+	constructor({ prefix, level, logger, format = 'text', fields = {} }) {
 		this.prefix = prefix;
 		this.debugLevel = level;
+		// External logger (e.g., pino or winston), if any
+		this.logger = logger;
+		// Winston expects the message first, pino and others the fields
+		this.messageFirst = (logger && Array.isArray(logger.transports));
+		this.format = format;
+		// Structured fields to add to all log records
+		this.fields = fields;
+	}
+
+	// Create a new logger that adds more fields to those of this one
+	child(fields) {
+		return new JanusWhipLogger({
+			prefix: this.prefix,
+			level: this.debugLevel,
+			logger: this.logger,
+			format: this.format,
+			fields: Object.assign({}, this.fields, fields)
+		});
+	}
+
+	// Add more fields to this logger
+	addFields(fields) {
+		Object.assign(this.fields, fields);
 	}
 
 	err() {
-		if(this.debugLevel < 0)
-			return;
-		let args = Array.prototype.slice.call(arguments);
-		args.unshift(this.prefix + '[err]');
-		console.log.apply(console, args);
+		this._log(0, 'err', arguments);
 	}
 
 	warn() {
-		if(this.debugLevel < 1)
-			return;
-		let args = Array.prototype.slice.call(arguments);
-		args.unshift(this.prefix + '[warn]');
-		console.log.apply(console, args);
+		this._log(1, 'warn', arguments);
 	}
 
 	info() {
-		if(this.debugLevel < 2)
-			return;
-		let args = Array.prototype.slice.call(arguments);
-		args.unshift(this.prefix + '[info]');
-		console.log.apply(console, args);
+		this._log(2, 'info', arguments);
 	}
 
 	verb() {
-		if(this.debugLevel < 3)
-			return;
-		let args = Array.prototype.slice.call(arguments);
-		args.unshift(this.prefix + '[verb]');
-		console.log.apply(console, args);
+		this._log(3, 'verb', arguments);
 	}
 
 	debug() {
-		if(this.debugLevel < 4)
+		this._log(4, 'debug', arguments);
+	}
+
+	_log(level, name, args) {
+		if(this.debugLevel < level)
+			return;
+		args = Array.prototype.slice.call(args);
+		if(!this.logger && this.format !== 'json') {
+			// Plain text
+			let tag = '';
+			if(this.fields.endpoint)
+				tag += '[' + this.fields.endpoint + ']';
+			if(this.fields.resource)
+				tag += '[' + this.fields.resource + ']';
+			if(tag)
+				args.unshift(tag);
+			args.unshift(this.prefix + '[' + name + ']');
+			console.log.apply(console, args);
 			return;
-		let args = Array.prototype.slice.call(arguments);
-		args.unshift(this.prefix + '[debug]');
-		console.log.apply(console, args);
+		}
+		// Structured record: errors are added as fields too
+		let record = Object.assign({}, this.fields);
+		let error = args.find(arg => arg instanceof Error);
+		if(error)
+			record.error = { message: error.message, stack: error.stack };
+		let message = util.format.apply(util, args.filter(arg => !(arg instanceof Error)));
+		if(this.logger) {
+			const methods = { err: 'error', warn: 'warn', info: 'info', verb: 'debug', debug: 'debug' };
+			let method = methods[name];
+			if(this.messageFirst)
+				this.logger[method](message, record);
+			else
+				this.logger[method](record, message);
+			return;
+		}
+		console.log(JSON.stringify(Object.assign({ time: new Date().toISOString(), level: name, msg: message }, record)));
 	}
 }
 
 // Exports
 export {
 	JanusWhipServer,
-	JanusWhipEndpoint
+	JanusWhipEndpoint,
+	JanusWhipPlugin
 };
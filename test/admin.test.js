@@ -0,0 +1,222 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { janus } from './fake/janode.js';
+import { startServer, publish } from './helpers.js';
+
+describe('Admin REST API', () => {
+	let server, url;
+
+	// Send a request to the Admin API, with the right token by default
+	const admin = (path, { method = 'GET', body, token = 'adminsecret' } = {}) => {
+		let headers = {};
+		if(token)
+			headers.authorization = 'Bearer ' + token;
+		if(body !== undefined)
+			headers['content-type'] = 'application/json';
+		return fetch(url + '/admin' + path, {
+			method: method,
+			headers: headers,
+			body: body !== undefined ? JSON.stringify(body) : undefined
+		});
+	};
+
+	beforeEach(async () => {
+		({ server, url } = await startServer({ rest: { admin: { token: 'adminsecret' } } }));
+	});
+
+	afterEach(async () => {
+		if(server.started)
+			await server.destroy({ timeout: 1 });
+	});
+
+	it('requires the admin token', async () => {
+		for(let token of [ null, 'wrong', 'adminsecretadminsecret', 'adminsecre' ]) {
+			let res = await admin('/endpoints', { token: token });
+			assert.equal(res.status, 403, String(token));
+			assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:unauthorized');
+		}
+		let res = await fetch(url + '/admin/endpoints', { headers: { authorization: 'Basic adminsecret' } });
+		assert.equal(res.status, 403);
+		res = await admin('/endpoints', { method: 'POST', body: { id: 'test', room: 1234 }, token: 'wrong' });
+		assert.equal(res.status, 403);
+		assert.equal(server.getEndpoint({ id: 'test' }), undefined);
+	});
+
+	it('creates endpoints', async () => {
+		let res = await admin('/endpoints', { method: 'POST', body: { id: 'test', room: 1234, token: 'verysecret', label: 'Test' } });
+		assert.equal(res.status, 201);
+		assert.equal(res.headers.get('location'), '/whip/admin/endpoints/test');
+		let details = await res.json();
+		assert.equal(details.id, 'test');
+		assert.equal(details.plugin, 'videoroom');
+		assert.equal(details.room, 1234);
+		assert.equal(details.protected, true);
+		// Tokens are never returned
+		assert.equal(details.token, undefined);
+		let endpoint = server.getEndpoint({ id: 'test' });
+		assert.equal(endpoint.label, 'Test');
+		assert.equal((await publish(url, 'test', { token: 'verysecret' })).status, 201);
+		// Duplicates and invalid settings are rejected
+		res = await admin('/endpoints', { method: 'POST', body: { id: 'test', room: 4321 } });
+		assert.equal(res.status, 409);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:endpoint-exists');
+		assert.equal(endpoint.room, 1234);
+		res = await admin('/endpoints', { method: 'POST', body: { id: 'other', room: 1234, maxSessions: 0 } });
+		assert.equal(res.status, 422);
+		let problem = await res.json();
+		assert.equal(problem.type, 'tag:meetecho.com,2025:whip:invalid-settings');
+		assert.match(problem.detail, /Invalid maxSessions/);
+		assert.equal(server.getEndpoint({ id: 'other' }), undefined);
+		res = await fetch(url + '/admin/endpoints', {
+			method: 'POST',
+			headers: { authorization: 'Bearer adminsecret', 'content-type': 'text/plain' },
+			body: 'id=other'
+		});
+		assert.equal(res.status, 415);
+	});
+
+	it('lists endpoints and returns their details', async () => {
+		server.createEndpoint({ id: 'a', room: 1234 });
+		server.createEndpoint({ id: 'b', plugin: 'audiobridge', room: 5678, maxSessions: 2 });
+		await publish(url, 'b');
+		let res = await admin('/endpoints');
+		assert.equal(res.status, 200);
+		let list = await res.json();
+		assert.deepEqual(list.map(e => [ e.id, e.plugin, e.enabled ]), [ [ 'a', 'videoroom', false ], [ 'b', 'audiobridge', true ] ]);
+		res = await admin('/endpoints/b');
+		assert.equal(res.status, 200);
+		let details = await res.json();
+		assert.deepEqual(details, list[1]);
+		assert.equal(details.maxSessions, 2);
+		assert.equal(details.sessions.length, 1);
+		res = await admin('/endpoints/unknown');
+		assert.equal(res.status, 404);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:endpoint-not-found');
+	});
+
+	it('updates endpoints', async () => {
+		let authorize = () => true;
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234, label: 'Old', authorize: authorize });
+		let res = await admin('/endpoints/test', { method: 'PATCH', body: { label: 'New', maxDuration: 60 } });
+		assert.equal(res.status, 200);
+		let details = await res.json();
+		assert.equal(details.label, 'New');
+		assert.equal(details.maxDuration, 60);
+		assert.equal(endpoint.room, 1234);
+		// Callbacks can't be provided via JSON, so they're preserved
+		assert.equal(endpoint.authorize, authorize);
+		res = await admin('/endpoints/test', { method: 'PATCH', body: { id: 'other' } });
+		assert.equal(res.status, 422);
+		res = await admin('/endpoints/test', { method: 'PATCH', body: { idleTimeout: -1 } });
+		assert.equal(res.status, 422);
+		assert.match((await res.json()).detail, /Invalid idleTimeout/);
+		assert.equal(endpoint.idleTimeout, undefined);
+		res = await admin('/endpoints/unknown', { method: 'PATCH', body: { label: 'New' } });
+		assert.equal(res.status, 404);
+	});
+
+	it('destroys endpoints', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234 });
+		await publish(url, 'test');
+		let reasons = [];
+		endpoint.on('endpoint-inactive', (_rid, reason) => reasons.push(reason));
+		let res = await admin('/endpoints/test', { method: 'DELETE' });
+		assert.equal(res.status, 204);
+		assert.equal(server.getEndpoint({ id: 'test' }), undefined);
+		assert.deepEqual(reasons, [ 'endpoint-destroyed' ]);
+		res = await admin('/endpoints/test', { method: 'DELETE' });
+		assert.equal(res.status, 404);
+		assert.equal(res.headers.get('content-type'), 'application/problem+json; charset=utf-8');
+	});
+
+	it('terminates sessions', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234 });
+		let reasons = [];
+		endpoint.on('endpoint-inactive', (_rid, reason) => reasons.push(reason));
+		let rid = (await publish(url, 'test')).headers.get('location').split('/').pop();
+		let res = await admin('/endpoints/test/sessions/' + rid + '?reason=bad%20reason', { method: 'DELETE' });
+		assert.equal(res.status, 422);
+		assert.match((await res.json()).detail, /Invalid reason/);
+		res = await admin('/endpoints/test/sessions/' + rid + '?reason=a&reason=b', { method: 'DELETE' });
+		assert.equal(res.status, 422);
+		res = await admin('/endpoints/test/sessions/unknown', { method: 'DELETE' });
+		assert.equal(res.status, 404);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:resource-not-found');
+		res = await admin('/endpoints/unknown/sessions/' + rid, { method: 'DELETE' });
+		assert.equal(res.status, 404);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:endpoint-not-found');
+		assert.equal(endpoint.sessions.size, 1);
+		res = await admin('/endpoints/test/sessions/' + rid + '?reason=kicked', { method: 'DELETE' });
+		assert.equal(res.status, 204);
+		assert.deepEqual(reasons, [ 'kicked' ]);
+		assert.equal(endpoint.sessions.size, 0);
+		// The endpoint is still there
+		res = await admin('/endpoints/test');
+		assert.equal(res.status, 200);
+		assert.deepEqual((await res.json()).sessions, []);
+		rid = (await publish(url, 'test')).headers.get('location').split('/').pop();
+		res = await admin('/endpoints/test/sessions/' + rid, { method: 'DELETE' });
+		assert.equal(res.status, 204);
+		assert.deepEqual(reasons, [ 'kicked', 'terminated' ]);
+	});
+
+	it('manages the RTP forwarders of endpoints', async () => {
+		let recipient = { host: '10.0.0.5', audioPort: 5002, videoPort: 5004 };
+		server.createEndpoint({ id: 'test', room: 1234, maxSessions: 2 });
+		let res = await admin('/endpoints/test/forwarders', { method: 'POST', body: { recipient: recipient } });
+		assert.equal(res.status, 422);
+		assert.match((await res.json()).detail, /No active session/);
+		await publish(url, 'test');
+		let resource = (await publish(url, 'test')).headers.get('location').split('/').pop();
+		// With more than one publisher, we need to know which one to forward
+		res = await admin('/endpoints/test/forwarders', { method: 'POST', body: { recipient: recipient } });
+		assert.equal(res.status, 422);
+		let problem = await res.json();
+		assert.equal(problem.type, 'tag:meetecho.com,2025:whip:invalid-settings');
+		assert.match(problem.detail, /a resource ID is needed/);
+		res = await admin('/endpoints/test/forwarders', { method: 'POST', body: { resource: resource, recipient: 'nope' } });
+		assert.equal(res.status, 422);
+		assert.match((await res.json()).detail, /Invalid recipient/);
+		assert.equal(janus.handles.flatMap(h => h.requests).filter(r => r.name === 'startForward').length, 0);
+		res = await admin('/endpoints/test/forwarders', { method: 'POST', body: { resource: resource, recipient: recipient } });
+		assert.equal(res.status, 201);
+		let forwarder = await res.json();
+		assert.equal(forwarder.resource, resource);
+		assert.deepEqual(forwarder.recipient, recipient);
+		assert.ok(forwarder.streams.length > 0);
+		assert.deepEqual(janus.handles[0].requests.map(r => r.name), [ 'joinConfigurePublisher' ]);
+		assert.deepEqual(janus.handles[1].requests.map(r => r.name), [ 'joinConfigurePublisher', 'startForward' ]);
+		res = await admin('/endpoints/test/forwarders');
+		assert.equal(res.status, 200);
+		assert.deepEqual(await res.json(), [ forwarder ]);
+		// Removing forwarders stops them in Janus
+		res = await admin('/endpoints/test/forwarders/' + forwarder.id, { method: 'DELETE' });
+		assert.equal(res.status, 204);
+		assert.deepEqual(janus.handles[1].requests.filter(r => r.name === 'stopForward').map(r => r.params.stream), forwarder.streams);
+		assert.deepEqual(await (await admin('/endpoints/test/forwarders')).json(), []);
+		res = await admin('/endpoints/test/forwarders/' + forwarder.id, { method: 'DELETE' });
+		assert.equal(res.status, 404);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:forwarder-not-found');
+		res = await admin('/endpoints/unknown/forwarders');
+		assert.equal(res.status, 404);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:endpoint-not-found');
+	});
+
+	it('returns a problem when the endpoint is already being destroyed', async () => {
+		server.createEndpoint({ id: 'test', room: 1234 });
+		await publish(url, 'test');
+		// Keep the teardown of the session pending until we're done
+		let handle = janus.handles[0];
+		let detach = handle.detach.bind(handle);
+		let release = null;
+		handle.detach = () => new Promise(resolve => { release = resolve; }).then(detach);
+		let destroying = server.destroyEndpoint({ id: 'test' });
+		let res = await admin('/endpoints/test', { method: 'DELETE' });
+		assert.equal(res.status, 404);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:endpoint-not-found');
+		release();
+		await destroying;
+		assert.equal(server.getEndpoint({ id: 'test' }), undefined);
+	});
+});
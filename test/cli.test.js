@@ -0,0 +1,199 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { JanusWhipCli } from '../src/cli.js';
+import { janus } from './fake/janode.js';
+import { silentLogger, getFreePort, publish } from './helpers.js';
+
+describe('Command line server', () => {
+	let dir, port, cli;
+
+	const write = (name, text) => {
+		let file = path.join(dir, name);
+		fs.writeFileSync(file, text);
+		return file;
+	};
+	const config = (endpoints) => [
+		'janus:',
+		'  address: ws://127.0.0.1:8188',
+		'rest:',
+		'  port: ' + port,
+		'  basePath: /whip',
+		'iceServers:',
+		'  - uri: stun:stun.example.net:3478',
+		'endpoints:'
+	].concat(endpoints).join('\n');
+
+	before(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whip-cli-'));
+	});
+
+	after(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	beforeEach(async () => {
+		janus.reset();
+		port = await getFreePort();
+		cli = null;
+	});
+
+	afterEach(async () => {
+		if(cli && cli.server)
+			await cli.stop();
+	});
+
+	it('starts a server with the endpoints in a YAML file', async () => {
+		let file = write('whip.yaml', config([
+			'  - id: abc123',
+			'    room: 1234',
+			'    token: verysecret',
+			'  - id: mix',
+			'    plugin: audiobridge',
+			'    room: 5678',
+			'    recipients:',
+			'      - host: 10.0.0.5',
+			'        audioPort: 5002'
+		]));
+		cli = new JanusWhipCli({ file: file, logger: silentLogger });
+		let server = await cli.start();
+		assert.deepEqual(server.listEndpoints().map(e => e.id), [ 'abc123', 'mix' ]);
+		let res = await publish('http://127.0.0.1:' + port + '/whip', 'abc123', { token: 'verysecret' });
+		assert.equal(res.status, 201);
+		assert.match(res.headers.get('link'), /stun\.example\.net/);
+	});
+
+	it('accepts JSON files too', async () => {
+		let file = write('whip.json', JSON.stringify({
+			janus: { address: 'ws://127.0.0.1:8188' },
+			rest: { port: port, basePath: '/whip' },
+			endpoints: [ { id: 'abc123', room: 1234 } ]
+		}));
+		cli = new JanusWhipCli({ file: file, logger: silentLogger });
+		let server = await cli.start();
+		assert.deepEqual(server.listEndpoints().map(e => e.id), [ 'abc123' ]);
+	});
+
+	it('reloads the endpoints', async () => {
+		let file = write('reload.yaml', config([
+			'  - id: kept',
+			'    room: 1234',
+			'  - id: changed',
+			'    room: 1234',
+			'    token: verysecret',
+			'  - id: removed',
+			'    room: 1234',
+			'  - id: moved',
+			'    room: 1234'
+		]));
+		cli = new JanusWhipCli({ file: file, logger: silentLogger });
+		let server = await cli.start();
+		// Endpoints created via the library are not affected
+		server.createEndpoint({ id: 'dynamic', room: 4321 });
+		let kept = server.getEndpoint({ id: 'kept' });
+		write('reload.yaml', config([
+			'  - id: kept',
+			'    room: 1234',
+			'  - id: changed',
+			'    room: 4321',
+			'  - id: moved',
+			'    plugin: audiobridge',
+			'    room: 1234',
+			'  - id: added',
+			'    room: 1234'
+		]));
+		let summary = await cli.reload();
+		assert.deepEqual(summary, { added: [ 'moved', 'added' ], updated: [ 'changed' ], removed: [ 'removed' ], conflicts: [] });
+		assert.deepEqual(server.listEndpoints().map(e => e.id).sort(), [ 'added', 'changed', 'dynamic', 'kept', 'moved' ]);
+		assert.equal(server.getEndpoint({ id: 'kept' }), kept);
+		let changed = server.getEndpoint({ id: 'changed' });
+		assert.equal(changed.room, 4321);
+		assert.equal(changed.token, undefined);
+		assert.equal(server.getEndpoint({ id: 'moved' }).plugin, 'audiobridge');
+	});
+
+	it('doesn\'t touch endpoints created in other ways when reloading', async () => {
+		let file = write('conflict.yaml', config([
+			'  - id: ours',
+			'    room: 1234'
+		]));
+		cli = new JanusWhipCli({ file: file, logger: silentLogger });
+		let server = await cli.start();
+		let dynamic = server.createEndpoint({ id: 'dynamic', room: 4321 });
+		await publish('http://127.0.0.1:' + port + '/whip', 'dynamic');
+		// An endpoint we created, but that was replaced via the library, is not ours anymore
+		await server.destroyEndpoint({ id: 'ours' });
+		let replaced = server.createEndpoint({ id: 'ours', room: 5678 });
+		write('conflict.yaml', config([
+			'  - id: ours',
+			'    room: 1111',
+			'  - id: dynamic',
+			'    room: 1234'
+		]));
+		let summary = await cli.reload();
+		assert.deepEqual(summary, { added: [], updated: [], removed: [], conflicts: [ 'ours', 'dynamic' ] });
+		assert.equal(server.getEndpoint({ id: 'dynamic' }), dynamic);
+		assert.equal(dynamic.room, 4321);
+		assert.ok(dynamic.enabled);
+		assert.equal(server.getEndpoint({ id: 'ours' }), replaced);
+		assert.equal(replaced.room, 5678);
+		// Removing them from the file doesn't destroy them either
+		write('conflict.yaml', config([]));
+		summary = await cli.reload();
+		assert.deepEqual(summary.removed, []);
+		assert.deepEqual(server.listEndpoints().map(e => e.id), [ 'dynamic', 'ours' ]);
+	});
+
+	it('keeps the previous endpoints if the new configuration is invalid', async () => {
+		let file = write('invalid.yaml', config([
+			'  - id: abc123',
+			'    room: 1234'
+		]));
+		cli = new JanusWhipCli({ file: file, logger: silentLogger });
+		let server = await cli.start();
+		write('invalid.yaml', config([
+			'  - id: abc123',
+			'    room: 4321',
+			'  - id: broken',
+			'    plugin: recordplay',
+			'    maxSessions: 0'
+		]));
+		await assert.rejects(cli.reload(), /endpoint "broken": Invalid maxSessions/);
+		write('invalid.yaml', 'janus: [');
+		await assert.rejects(cli.reload(), /Error reading configuration file/);
+		assert.deepEqual(server.listEndpoints().map(e => e.id), [ 'abc123' ]);
+		assert.equal(server.getEndpoint({ id: 'abc123' }).room, 1234);
+	});
+
+	it('reports configuration errors', async () => {
+		const check = async (text, error) => {
+			let cli = new JanusWhipCli({ file: write('check.yaml', text), logger: silentLogger });
+			await assert.rejects(cli.start(), error);
+			assert.equal(cli.server, null);
+		};
+		await check('- janus', /not an object/);
+		await check(config([ '  - room: 1234' ]), /missing "id" in endpoints\[0\]/);
+		await check(config([ '  - id: a', '    room: 1', '  - id: a', '    room: 2' ]), /duplicate endpoint "a"/);
+		await check(config([ '  - id: a', '    plugin: unknown' ]), /endpoint "a": Unsupported plugin/);
+		await check('rest:\n  port: 7080', /missing parameter "janus"/);
+		await check(config([]) + '\nallowTricke: false', /unknown setting "allowTricke"/);
+		await check(config([ '  - id: a', '    room: 1234', '    maxSesions: 2' ]), /unknown setting "maxSesions" in endpoint "a"/);
+		await check(config([]).replace('basePath: /whip', 'basePath: /whip\n  https: { cert: cert.pem }'), /"cert" or "key" in "rest.https"/);
+		// Nothing was started
+		assert.equal(janus.connections.length, 0);
+	});
+
+	it('exits with an error if the configuration is invalid', async () => {
+		let file = write('exit.yaml', config([ '  - id: a' ]));
+		let result = await new Promise(resolve => {
+			execFile(process.execPath, [ '--import', './test/fake/register.js', 'bin/janus-whip-server.js', '-c', file ],
+				{ timeout: 10000 }, (err, _stdout, stderr) => resolve({ code: err ? err.code : 0, stderr: stderr }));
+		});
+		assert.equal(result.code, 1);
+		assert.match(result.stderr, /endpoint "a": Invalid arguments/);
+	});
+});
@@ -0,0 +1,336 @@
+// Fake Janode implementation, simulating a Janus instance in process:
+// handles answer plugin requests with canned responses, and everything
+// is tracked in the exported state, so that tests can check which
+// requests were sent, inject failures and trigger Janus events
+import { EventEmitter } from 'events';
+
+const EVENT = {
+	CONNECTION_ERROR: 'connection_error',
+	HANDLE_DETACHED: 'handle_detached',
+	HANDLE_HANGUP: 'handle_hangup',
+	HANDLE_MEDIA: 'handle_media',
+	HANDLE_WEBRTCUP: 'handle_webrtcup'
+};
+
+// SDP answer returned for all offers
+const answer = [
+	'v=0',
+	'o=- 1 1 IN IP4 127.0.0.1',
+	's=Janus',
+	't=0 0',
+	'a=group:BUNDLE 0',
+	'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+	'c=IN IP4 127.0.0.1',
+	'a=ice-ufrag:janus',
+	'a=ice-pwd:januspwd',
+	'a=mid:0',
+	'a=candidate:1 1 udp 2013266431 127.0.0.1 5000 typ host',
+	'a=end-of-candidates',
+	''
+].join('\r\n');
+
+const janus = {
+	connections: [],
+	handles: [],
+	// Rooms that exist, as "<plugin>/<room>" strings
+	rooms: new Set(),
+	failures: {},
+	// Make the next request of the specified type fail (e.g., "connect",
+	// "attach", or the name of a handle method like "joinConfigurePublisher")
+	fail(request, error = new Error('Fake Janus error')) {
+		this.failures[request] = error;
+	},
+	reset() {
+		this.connections = [];
+		this.handles = [];
+		this.rooms = new Set();
+		this.failures = {};
+	}
+};
+
+let ids = 1;
+
+// Symbol Janode uses to attach the parsed plugin event to a Janus message
+const PLUGIN_EVENT = Symbol('plugin_event');
+
+function checkFailure(request) {
+	let error = janus.failures[request];
+	if(error) {
+		delete janus.failures[request];
+		throw error;
+	}
+}
+
+class FakeHandle extends EventEmitter {
+	constructor(session, plugin) {
+		super();
+		this.id = ids++;
+		this.session = session;
+		this.plugin = plugin;
+		this.requests = [];
+		this.detached = false;
+		// Pending plugin requests, indexed by transaction
+		this.transactions = new Map();
+		janus.handles.push(this);
+	}
+
+	async _request(name, params, response = {}) {
+		if(this.detached)
+			throw new Error('Handle detached');
+		this.requests.push({ name: name, params: params });
+		checkFailure(name);
+		return response;
+	}
+
+	joinConfigurePublisher(params) {
+		return this._request('joinConfigurePublisher', params, { feed: ids++, jsep: { type: 'answer', sdp: answer } });
+	}
+	join(params) {
+		return this._request('join', params, { room: params.room, feed: ids++ });
+	}
+	configure(params) {
+		return this._request('configure', params, params.jsep ? { jsep: { type: 'answer', sdp: answer } } : {});
+	}
+	record(params) {
+		return this._request('record', params, { jsep: { type: 'answer', sdp: answer } });
+	}
+	translate(params) {
+		return this._request('translate', params, { jsep: { type: 'answer', sdp: answer } });
+	}
+	startForward(params) {
+		return this._request('startForward', params, { room: params.room, forwarder: { host: params.host, audio_stream: ids++ } });
+	}
+	stopForward(params) {
+		return this._request('stopForward', params);
+	}
+	enableRecording(params) {
+		return this._request('enableRecording', params, { room: params.room, record: params.record });
+	}
+	exists(params) {
+		return this._request('exists', params, { room: params.room, exists: janus.rooms.has(this.plugin.id + '/' + params.room) });
+	}
+	async create(params) {
+		let response = await this._request('create', params, { room: params.room, permanent: false });
+		if(janus.rooms.has(this.plugin.id + '/' + params.room))
+			throw new Error('Room ' + params.room + ' already exists');
+		janus.rooms.add(this.plugin.id + '/' + params.room);
+		return response;
+	}
+	async destroy(params) {
+		let response = await this._request('destroy', params, { room: params.room, permanent: false });
+		if(!janus.rooms.delete(this.plugin.id + '/' + params.room))
+			throw new Error('No such room (' + params.room + ')');
+		return response;
+	}
+	trickle(candidates) {
+		return this._request('trickle', candidates);
+	}
+	hangup() {
+		return this._request('hangup');
+	}
+	async detach() {
+		await this._request('detach');
+		this.detached = true;
+		this.emit(EVENT.HANDLE_DETACHED, { id: this.id });
+	}
+
+	// Generic plugin request, for the requests Janode has no method for: as
+	// in Janode, the message Janus sends back goes through handleMessage,
+	// which is where plugin handles parse it into a plugin event
+	async message(body) {
+		await this._request(body.request, body);
+		let transaction = 'fake' + ids++;
+		let result = new Promise((resolve, reject) => {
+			this.transactions.set(transaction, { resolve, reject });
+		});
+		let response = pluginResponse(this.plugin.id, body);
+		this._handleMessage(Object.assign(response, { session_id: this.session.id, sender: this.id, transaction: transaction }));
+		return result;
+	}
+
+	// Simplified version of what Janode does with plugin responses and
+	// events: definitive responses close the transaction no matter what,
+	// while events only do if the plugin handle recognized them
+	_handleMessage(janus_message) {
+		let { transaction } = janus_message;
+		if(!this.handleMessage(janus_message) && janus_message.janus === 'event') {
+			this.closeTransactionWithError(transaction, new Error('unmanaged event'));
+			return;
+		}
+		this.closeTransactionWithSuccess(transaction, janus_message);
+	}
+
+	// Plugin handles override this to parse the messages they know about
+	handleMessage(_janus_message) {
+		return null;
+	}
+
+	_newPluginEvent(janus_message) {
+		let janode_event = { event: null, data: {} };
+		janus_message[PLUGIN_EVENT] = janode_event;
+		return janode_event;
+	}
+
+	_getPluginEvent(janus_message) {
+		return janus_message[PLUGIN_EVENT] || {};
+	}
+
+	closeTransactionWithSuccess(id, data) {
+		let tx = this.transactions.get(id);
+		if(!tx)
+			return;
+		this.transactions.delete(id);
+		tx.resolve(data);
+	}
+
+	closeTransactionWithError(id, error) {
+		let tx = this.transactions.get(id);
+		if(!tx)
+			return;
+		this.transactions.delete(id);
+		tx.reject(error);
+	}
+}
+
+// What Janus would send back for a generic plugin request
+function pluginResponse(plugin, body) {
+	if(plugin === 'janus.plugin.videoroom' && body.request === 'rtp_forward') {
+		// Janus 1.x returns a forwarder per stream
+		let streams = Array.isArray(body.streams) ? body.streams : [
+			{ type: 'audio', port: body.audio_port, ssrc: body.audio_ssrc },
+			{ type: 'video', port: body.video_port, ssrc: body.video_ssrc },
+			{ type: 'data', port: body.data_port }
+		].filter(s => s.port > 0);
+		return {
+			janus: 'success',
+			plugindata: {
+				plugin: plugin,
+				data: {
+					videoroom: 'rtp_forward',
+					room: body.room,
+					publisher_id: body.publisher_id,
+					forwarders: streams.map(s => ({
+						stream_id: ids++,
+						type: s.type ? s.type : (s.mid === '0' ? 'audio' : 'video'),
+						host: s.host ? s.host : body.host,
+						port: s.port,
+						ssrc: s.ssrc,
+						srtp: body.srtp_suite ? true : undefined
+					}))
+				}
+			}
+		};
+	}
+	if(plugin === 'janus.plugin.audiobridge' && body.request === 'changeroom') {
+		// Asynchronous request: the result is notified in an event
+		return {
+			janus: 'event',
+			plugindata: {
+				plugin: plugin,
+				data: { audiobridge: 'roomchanged', room: body.room, id: ids++, display: body.display, participants: [] }
+			}
+		};
+	}
+	return { janus: 'success', plugindata: { plugin: plugin, data: {} } };
+}
+
+class FakeSession extends EventEmitter {
+	constructor(connection) {
+		super();
+		this.id = ids++;
+		this.connection = connection;
+	}
+
+	// Handles are instances of the handle class of the plugin, if
+	// any, which extends the fake handle (see the fake plugins)
+	async attach(plugin) {
+		checkFailure('attach');
+		let Handle = plugin.Handle ? plugin.Handle : FakeHandle;
+		return new Handle(this, plugin);
+	}
+
+	async destroy() {}
+}
+
+class FakeConnection extends EventEmitter {
+	constructor(config) {
+		super();
+		this.config = config;
+		this.closed = false;
+		janus.connections.push(this);
+	}
+
+	async create() {
+		checkFailure('create');
+		return new FakeSession(this);
+	}
+
+	async close() {
+		this.closed = true;
+	}
+
+	// Admin API request to get info on a handle: the response
+	// mimics what Janus returns for a connected publisher
+	async handleInfo(session_id, handle_id) {
+		checkFailure('handleInfo');
+		return {
+			janus: 'success',
+			session_id: session_id,
+			handle_id: handle_id,
+			info: {
+				session_id: session_id,
+				handle_id: handle_id,
+				webrtc: {
+					ice: {
+						state: 'connected',
+						'selected-pair': '127.0.0.1:5000 [host,udp] <-> 192.168.1.2:50000 [host,udp]'
+					},
+					dtls: {
+						'dtls-state': 'connected',
+						'srtp-profile': 'SRTP_AES128_CM_SHA1_80'
+					},
+					media: {
+						0: {
+							mid: '0',
+							type: 'audio',
+							mindex: 0,
+							direction: 'recvonly',
+							ssrc: { 'ssrc-peer': 1111 },
+							codecs: { 'audio-pt': 111, 'audio-codec': 'opus' },
+							rtcp: { main: { base: 48000, rtt: 10, lost: 3, 'lost-by-remote': 0, 'jitter-local': 1, 'jitter-remote': 0 } },
+							in_stats: { audio_packets: 500, audio_bytes: 40000, audio_bytes_lastsec: 4000, audio_nacks: 2 },
+							out_stats: { audio_packets: 0, audio_bytes: 0, audio_bytes_lastsec: 0, audio_nacks: 0 }
+						},
+						1: {
+							mid: '1',
+							type: 'video',
+							mindex: 1,
+							direction: 'recvonly',
+							ssrc: { 'ssrc-peer': 2222, 'ssrc-peer-sim-1': 3333 },
+							codecs: { 'video-pt': 96, 'video-codec': 'vp8' },
+							rtcp: { main: { base: 90000, rtt: 10, lost: 7, 'lost-by-remote': 0, 'jitter-local': 2, 'jitter-remote': 0 } },
+							in_stats: {
+								video_packets: 1000, video_bytes: 800000, video_bytes_lastsec: 60000, video_nacks: 4,
+								'video_packets-sim1': 2000, 'video_bytes-sim1': 1600000, 'video_bytes_lastsec-sim1': 120000, 'video_nacks-sim1': 1
+							},
+							out_stats: { video_packets: 0, video_bytes: 0, video_bytes_lastsec: 0, video_nacks: 0 }
+						}
+					}
+				}
+			}
+		};
+	}
+
+	// Simulate a lost connection to Janus
+	disconnect(error = new Error('Connection lost')) {
+		this.emit(EVENT.CONNECTION_ERROR, error);
+	}
+}
+
+async function connect(config) {
+	checkFailure('connect');
+	return new FakeConnection(config);
+}
+
+export { janus, answer, FakeHandle };
+export default { connect, EVENT };
@@ -0,0 +1,14 @@
+// Module resolution hook, replacing Janode and its plugins with fakes
+const fakes = {
+	'janode': 'janode.js',
+	'janode/plugins/videoroom': 'plugins.js?videoroom',
+	'janode/plugins/audiobridge': 'plugins.js?audiobridge',
+	'janode/plugins/recordplay': 'plugins.js?recordplay',
+	'janode-ndi': 'plugins.js?ndi'
+};
+
+export async function resolve(specifier, context, next) {
+	if(fakes[specifier])
+		return { url: new URL(fakes[specifier], import.meta.url).href, shortCircuit: true };
+	return next(specifier, context);
+}
@@ -0,0 +1,37 @@
+// Fake Janode plugin descriptors: the plugin is picked by the query
+// string of the module URL (see the loader), so that each import
+// gets its own descriptor, with a handle class extending the fake
+// Janode handle, as Janode plugin handles extend the Janode one
+import { FakeHandle } from './janode.js';
+
+const name = new URL(import.meta.url).search.substring(1);
+
+// Parses the plugin responses and events as the Janode plugin would,
+// for the requests we send via message(): only those we need are
+// supported, and anything else is left to the handle extensions
+class FakePluginHandle extends FakeHandle {
+	handleMessage(janus_message) {
+		let data = janus_message.plugindata ? janus_message.plugindata.data : null;
+		if(name === 'videoroom' && data && data.videoroom === 'rtp_forward') {
+			let janode_event = this._newPluginEvent(janus_message);
+			janode_event.event = 'videoroom_rtp_fwd_started';
+			janode_event.data.feed = data.publisher_id;
+			janode_event.data.forwarders = data.forwarders.map(f => {
+				let forwarder = { host: f.host };
+				forwarder[f.type + '_stream'] = f.stream_id;
+				forwarder[f.type + '_port'] = f.port;
+				if(typeof f.srtp === 'boolean')
+					forwarder.srtp = f.srtp;
+				return forwarder;
+			});
+			return janode_event;
+		}
+		return null;
+	}
+}
+
+export default {
+	id: 'janus.plugin.' + name,
+	Handle: FakePluginHandle,
+	EVENT: name === 'ndi' ? { JANUS_NDI_TALLY: 'janus_ndi_tally' } : {}
+};
@@ -0,0 +1,5 @@
+// Redirect Janode imports to the fake implementation: to be used
+// with --import when running the tests (see the test script)
+import { register } from 'node:module';
+
+register('./loader.js', import.meta.url);
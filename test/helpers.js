@@ -0,0 +1,76 @@
+// Helpers shared by the tests
+import { once } from 'events';
+import net from 'net';
+
+import { JanusWhipServer } from '../src/whip.js';
+import { janus } from './fake/janode.js';
+
+// Logger that discards everything, to keep the test output clean
+const silentLogger = {
+	error: () => {},
+	warn: () => {},
+	info: () => {},
+	debug: () => {}
+};
+
+// SDP offer from a WHIP client
+const offer = [
+	'v=0',
+	'o=- 1 1 IN IP4 127.0.0.1',
+	's=-',
+	't=0 0',
+	'a=group:BUNDLE 0',
+	'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+	'c=IN IP4 0.0.0.0',
+	'a=ice-ufrag:client',
+	'a=ice-pwd:clientpwd',
+	'a=mid:0',
+	'a=sendonly',
+	'a=rtpmap:111 opus/48000/2',
+	''
+].join('\r\n');
+
+// Find a free port to have the WHIP server listen on
+async function getFreePort() {
+	let probe = net.createServer();
+	probe.listen(0, '127.0.0.1');
+	await once(probe, 'listening');
+	let port = probe.address().port;
+	probe.close();
+	await once(probe, 'close');
+	return port;
+}
+
+// Start a new WHIP server on a random port, using the fake Janode
+async function startServer(config = {}) {
+	janus.reset();
+	let server = new JanusWhipServer(Object.assign({
+		janus: { address: 'ws://127.0.0.1:8188' },
+		logger: silentLogger
+	}, config, {
+		rest: Object.assign({ port: await getFreePort(), basePath: '/whip' }, config.rest)
+	}));
+	await server.start();
+	if(!server.server.listening)
+		await once(server.server, 'listening');
+	let url = 'http://127.0.0.1:' + server.server.address().port + '/whip';
+	return { server, url };
+}
+
+// Send a WHIP publish request
+function publish(url, id, { token, headers = {}, sdp = offer } = {}) {
+	if(token)
+		headers.authorization = 'Bearer ' + token;
+	return fetch(url + '/endpoint/' + id, {
+		method: 'POST',
+		headers: Object.assign({ 'content-type': 'application/sdp' }, headers),
+		body: sdp
+	});
+}
+
+// Get the full URL of a WHIP resource from the Location header
+function resourceUrl(url, response) {
+	return new URL(response.headers.get('location'), url).href;
+}
+
+export { silentLogger, offer, getFreePort, startServer, publish, resourceUrl };
@@ -0,0 +1,211 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+
+import { JanusWhipServer } from '../src/whip.js';
+import { janus } from './fake/janode.js';
+import { silentLogger, getFreePort, startServer, publish } from './helpers.js';
+
+describe('Janus connectivity', () => {
+	let server, url;
+
+	beforeEach(async () => {
+		({ server, url } = await startServer({
+			janus: {
+				backends: [
+					{ id: 'janus1', address: 'ws://10.0.0.1:8188' },
+					{ id: 'janus2', address: 'ws://10.0.0.2:8188' }
+				]
+			}
+		}));
+	});
+
+	afterEach(async () => {
+		await server.destroy({ timeout: 1 });
+	});
+
+	it('connects to all backends', () => {
+		assert.deepEqual(janus.connections.map(c => c.config.address.url), [ 'ws://10.0.0.1:8188', 'ws://10.0.0.2:8188' ]);
+		assert.deepEqual(server.listBackends().map(b => b.connected), [ true, true ]);
+	});
+
+	it('spreads sessions across backends', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, maxSessions: 2 });
+		await publish(url, 'test');
+		await publish(url, 'test');
+		let backends = Array.from(server.getEndpoint({ id: 'test' }).sessions.values()).map(s => s.backend.id);
+		assert.deepEqual(backends.sort(), [ 'janus1', 'janus2' ]);
+	});
+
+	it('tears down the sessions of a backend that went away, and reconnects', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234, maxSessions: 2 });
+		await publish(url, 'test');
+		await publish(url, 'test');
+		let reasons = [];
+		endpoint.on('endpoint-inactive', (_rid, reason) => reasons.push(reason));
+		let disconnected = once(server, 'janus-disconnected');
+		let reconnected = once(server, 'janus-reconnected');
+		janus.connections[0].disconnect();
+		assert.deepEqual(await disconnected, [ 'janus1' ]);
+		// Only the session hosted by the backend that went away is gone
+		assert.deepEqual(reasons, [ 'janus-disconnected' ]);
+		assert.equal(endpoint.sessions.size, 1);
+		assert.equal(Array.from(endpoint.sessions.values())[0].backend.id, 'janus2');
+		// New sessions go to the backend that's still available
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+		assert.deepEqual(await reconnected, [ 'janus1' ]);
+		assert.equal(janus.connections.length, 3);
+		assert.deepEqual(server.listBackends().map(b => b.connected), [ true, true ]);
+	});
+
+	it('keeps trying to reconnect to a backend', { timeout: 5000 }, async () => {
+		let delay = JanusWhipServer.RECONNECT_DELAY;
+		JanusWhipServer.RECONNECT_DELAY = 10;
+		try {
+			janus.fail('create');
+			let reconnected = once(server, 'janus-reconnected');
+			janus.connections[0].disconnect();
+			assert.deepEqual(await reconnected, [ 'janus1' ]);
+			// The first attempt failed, so we needed a new one
+			assert.equal(janus.connections.length, 4);
+			assert.deepEqual(server.listBackends().map(b => [ b.connected, b.reconnects ]), [ [ true, 1 ], [ true, 0 ] ]);
+		} finally {
+			JanusWhipServer.RECONNECT_DELAY = delay;
+		}
+	});
+
+	it('returns a 503 when no backend is available', async () => {
+		server.createEndpoint({ id: 'test', room: 1234 });
+		janus.fail('connect');
+		janus.fail('create');
+		let disconnected = [];
+		server.on('janus-disconnected', id => disconnected.push(id));
+		janus.connections[0].disconnect();
+		janus.connections[1].disconnect();
+		assert.deepEqual(disconnected, [ 'janus1', 'janus2' ]);
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 503);
+		assert.equal(res.headers.get('retry-after'), '5');
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:janus-unavailable');
+	});
+});
+
+describe('Janus Admin API', () => {
+	let server, url;
+
+	beforeEach(async () => {
+		({ server, url } = await startServer({
+			janus: {
+				address: 'ws://127.0.0.1:8188',
+				admin: { address: 'ws://127.0.0.1:7188', secret: 'janusoverlord' }
+			},
+			rest: { admin: { token: 'adminsecret' } }
+		}));
+	});
+
+	afterEach(async () => {
+		await server.destroy({ timeout: 1 });
+	});
+
+	it('returns the state of active publishers', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234 });
+		assert.deepEqual(await endpoint.getStats(), []);
+		let res = await publish(url, 'test');
+		let rid = res.headers.get('location').split('/').pop();
+		let stats = await endpoint.getStats();
+		// The Admin API connection is only created when needed
+		let admin = janus.connections[1];
+		assert.equal(admin.config.is_admin, true);
+		assert.deepEqual(admin.config.address, { url: 'ws://127.0.0.1:7188', apisecret: 'janusoverlord' });
+		assert.deepEqual(stats, [ {
+			resource: rid,
+			backend: 'ws://127.0.0.1:8188',
+			ice: { state: 'connected', selectedPair: '127.0.0.1:5000 [host,udp] <-> 192.168.1.2:50000 [host,udp]' },
+			dtls: { state: 'connected', srtpProfile: 'SRTP_AES128_CM_SHA1_80' },
+			media: [
+				{ mid: '0', type: 'audio', codec: 'opus', packets: 500, bytes: 40000, bitrate: 32000, lost: 3, nacks: 2 },
+				// Simulcast substreams are added up
+				{ mid: '1', type: 'video', codec: 'vp8', packets: 3000, bytes: 2400000, bitrate: 1440000, lost: 7, nacks: 5 }
+			]
+		} ]);
+		res = await fetch(url + '/admin/endpoints/test/stats', { headers: { authorization: 'Bearer adminsecret' } });
+		assert.equal(res.status, 200);
+		assert.deepEqual(await res.json(), stats);
+		assert.equal(janus.connections.length, 2);
+	});
+
+	it('reports errors for each session', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234 });
+		await publish(url, 'test');
+		janus.fail('handleInfo', new Error('No such handle'));
+		let stats = await endpoint.getStats();
+		assert.equal(stats.length, 1);
+		assert.equal(stats[0].error, 'No such handle');
+		let res = await fetch(url + '/admin/endpoints/unknown/stats', { headers: { authorization: 'Bearer adminsecret' } });
+		assert.equal(res.status, 404);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:endpoint-not-found');
+	});
+
+	it('requires the Admin API to be configured', async () => {
+		await server.destroy({ timeout: 1 });
+		({ server, url } = await startServer());
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234 });
+		await publish(url, 'test');
+		let stats = await endpoint.getStats();
+		assert.match(stats[0].error, /Janus Admin API not configured/);
+	});
+});
+
+describe('Janus startup', () => {
+	it('fails if no backend can be reached', async () => {
+		janus.reset();
+		janus.fail('connect');
+		let server = new JanusWhipServer({
+			janus: { address: 'ws://127.0.0.1:8188' },
+			rest: { port: 7080, basePath: '/whip' },
+			logger: silentLogger
+		});
+		await assert.rejects(server.start(), /Fake Janus error/);
+		assert.ok(!server.started);
+	});
+
+	it('retries backends that are unavailable at startup', async () => {
+		janus.reset();
+		janus.fail('connect');
+		let server = new JanusWhipServer({
+			janus: {
+				backends: [
+					{ id: 'janus1', address: 'ws://10.0.0.1:8188' },
+					{ id: 'janus2', address: 'ws://10.0.0.2:8188' }
+				]
+			},
+			rest: { port: await getFreePort(), basePath: '/whip' },
+			logger: silentLogger
+		});
+		await server.start();
+		try {
+			for(let i = 0; i < 50 && !server.listBackends()[0].connected; i++)
+				await new Promise(resolve => setTimeout(resolve, 10));
+			assert.deepEqual(janus.connections.map(c => c.config.address.url), [ 'ws://10.0.0.2:8188', 'ws://10.0.0.1:8188' ]);
+			// It's the first connection to the backend, not a reconnection
+			assert.deepEqual(server.listBackends().map(b => [ b.connected, b.reconnects ]), [ [ true, 0 ], [ true, 0 ] ]);
+		} finally {
+			await server.destroy({ timeout: 1 });
+		}
+	});
+
+	it('rejects duplicate backends', () => {
+		const create = (backends) => new JanusWhipServer({
+			janus: { backends: backends },
+			rest: { port: 7080, basePath: '/whip' },
+			logger: silentLogger
+		});
+		assert.throws(() => create([ { id: 'janus', address: 'ws://10.0.0.1:8188' }, { id: 'janus', address: 'ws://10.0.0.2:8188' } ]),
+			/duplicate Janus backend "janus"/);
+		// Backends without an ID are identified by their address
+		assert.throws(() => create([ { address: 'ws://10.0.0.1:8188' }, { address: 'ws://10.0.0.1:8188' } ]),
+			/duplicate Janus backend "ws:\/\/10.0.0.1:8188"/);
+		create([ { address: 'ws://10.0.0.1:8188' }, { id: 'janus2', address: 'ws://10.0.0.1:8188' } ]);
+	});
+});
@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+import { startServer, publish } from './helpers.js';
+
+// Create a JWT signed with the provided algorithm and key
+function sign(claims, { alg = 'HS256', key = 'jwtsecret', dsaEncoding = 'ieee-p1363', header = {} } = {}) {
+	let encode = (object) => Buffer.from(JSON.stringify(object)).toString('base64url');
+	let data = encode(Object.assign({ alg: alg, typ: 'JWT' }, header)) + '.' + encode(claims);
+	let signature = null;
+	if(alg === 'HS256')
+		signature = crypto.createHmac('sha256', key).update(data).digest();
+	else if(alg === 'ES256')
+		signature = crypto.sign('sha256', Buffer.from(data), { key: key, dsaEncoding: dsaEncoding });
+	else if(alg === 'RS256')
+		signature = crypto.sign('sha256', Buffer.from(data), key);
+	else
+		signature = Buffer.alloc(0);
+	return data + '.' + signature.toString('base64url');
+}
+
+describe('JWT authentication', () => {
+	let server, url;
+
+	const now = () => Math.floor(Date.now() / 1000);
+
+	beforeEach(async () => {
+		({ server, url } = await startServer({ jwt: { secret: 'jwtsecret' } }));
+	});
+
+	afterEach(async () => {
+		await server.destroy({ timeout: 1 });
+	});
+
+	it('authorizes publishers with a valid token', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, jwt: true });
+		let res = await publish(url, 'test', { token: sign({ endpoint: 'other', exp: now() + 60 }) });
+		assert.equal(res.status, 403);
+		res = await publish(url, 'test', { token: sign({ endpoint: 'test', exp: now() + 60 }) });
+		assert.equal(res.status, 201);
+	});
+
+	it('rejects tokens with a bad signature', () => {
+		let { jwt } = server.createEndpoint({ id: 'test', room: 1234, jwt: true });
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test' }, { key: 'wrongsecret' }), 'test'), /Invalid signature/);
+		// Tampering with the claims invalidates the signature too
+		let [ header, , signature ] = sign({ endpoint: 'test' }).split('.');
+		let claims = Buffer.from(JSON.stringify({ endpoint: 'other' })).toString('base64url');
+		assert.throws(() => jwt.verify([ header, claims, signature ].join('.'), 'other'), /Invalid signature/);
+		assert.throws(() => jwt.verify('not.a.jwt', 'test'), /Malformed token/);
+		assert.throws(() => jwt.verify('notajwt', 'test'), /Malformed token/);
+	});
+
+	it('rejects unexpected algorithms', () => {
+		let { jwt } = server.createEndpoint({ id: 'test', room: 1234, jwt: true });
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test' }, { alg: 'none' }), 'test'), /Unsupported algorithm/);
+		// A token can't pick the algorithm, even when the signature would match it
+		let { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test' }, { alg: 'ES256', key: privateKey }), 'test'), /Unsupported algorithm/);
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test' }, { header: { alg: 'HS512' } }), 'test'), /Unsupported algorithm/);
+		assert.throws(() => server.createEndpoint({ id: 'other', room: 1234, jwt: { secret: 'jwtsecret', algorithms: [ 'RS256' ] } }),
+			/unsupported algorithms/);
+	});
+
+	it('checks the expiration and activation times, with some skew', () => {
+		let { jwt } = server.createEndpoint({ id: 'test', room: 1234, jwt: true });
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test', exp: now() - 5 }), 'test'), /Token expired/);
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test', exp: now() }), 'test'), /Token expired/);
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test', nbf: now() + 5 }), 'test'), /Token not active yet/);
+		jwt.verify(sign({ endpoint: 'test', nbf: now(), exp: now() + 5 }), 'test');
+		// Clocks that are slightly off are tolerated, if configured
+		let tolerant = server.createEndpoint({ id: 'tolerant', room: 1234, jwt: { secret: 'jwtsecret', clockTolerance: 30 } }).jwt;
+		tolerant.verify(sign({ endpoint: 'tolerant', exp: now() - 5 }), 'tolerant');
+		tolerant.verify(sign({ endpoint: 'tolerant', nbf: now() + 5 }), 'tolerant');
+		assert.throws(() => tolerant.verify(sign({ endpoint: 'tolerant', exp: now() - 60 }), 'tolerant'), /Token expired/);
+		assert.throws(() => tolerant.verify(sign({ endpoint: 'tolerant', nbf: now() + 60 }), 'tolerant'), /Token not active yet/);
+	});
+
+	it('checks the audience and issuer', () => {
+		let { jwt } = server.createEndpoint({ id: 'test', room: 1234,
+			jwt: { secret: 'jwtsecret', audience: [ 'whip', 'whep' ], issuer: 'https://auth.example.net' } });
+		let iss = 'https://auth.example.net';
+		jwt.verify(sign({ endpoint: 'test', aud: 'whip', iss: iss }), 'test');
+		jwt.verify(sign({ endpoint: 'test', aud: [ 'other', 'whep' ], iss: iss }), 'test');
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test', aud: 'other', iss: iss }), 'test'), /Invalid audience/);
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test', iss: iss }), 'test'), /Invalid audience/);
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test', aud: 'whip', iss: 'https://evil.example.net' }), 'test'), /Invalid issuer/);
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test', aud: 'whip' }), 'test'), /Invalid issuer/);
+	});
+
+	it('verifies ES256 signatures in the JOSE format', () => {
+		let { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+		let { jwt } = server.createEndpoint({ id: 'test', room: 1234, jwt: { key: publicKey.export({ format: 'jwk' }) } });
+		assert.deepEqual(jwt.algorithms, [ 'ES256' ]);
+		let token = sign({ endpoint: 'test' }, { alg: 'ES256', key: privateKey });
+		// JOSE signatures are the raw 64 bytes of r and s, not a DER structure
+		assert.equal(Buffer.from(token.split('.')[2], 'base64url').length, 64);
+		assert.deepEqual(jwt.verify(token, 'test'), { endpoint: 'test' });
+		token = sign({ endpoint: 'test' }, { alg: 'ES256', key: privateKey, dsaEncoding: 'der' });
+		assert.throws(() => jwt.verify(token, 'test'), /Invalid signature/);
+	});
+
+	it('verifies RS256 signatures with PEM keys', () => {
+		let { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+		let { jwt } = server.createEndpoint({ id: 'test', room: 1234, jwt: { key: publicKey.export({ type: 'spki', format: 'pem' }) } });
+		jwt.verify(sign({ endpoint: 'test' }, { alg: 'RS256', key: privateKey }), 'test');
+		let other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test' }, { alg: 'RS256', key: other }), 'test'), /Invalid signature/);
+		assert.throws(() => jwt.verify(sign({ endpoint: 'test' }), 'test'), /Unsupported algorithm/);
+	});
+});
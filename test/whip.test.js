@@ -0,0 +1,1202 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import crypto from 'crypto';
+import http from 'http';
+
+import { JanusWhipPlugin } from '../src/whip.js';
+import { janus, answer } from './fake/janode.js';
+import { offer, startServer, publish, resourceUrl } from './helpers.js';
+
+describe('WHIP endpoints', () => {
+	let server, url;
+
+	beforeEach(async () => {
+		({ server, url } = await startServer({
+			iceServers: [ { uri: 'stun:stun.example.net:3478' } ]
+		}));
+	});
+
+	afterEach(async () => {
+		if(server.started)
+			await server.destroy({ timeout: 1 });
+	});
+
+	it('answers the healthcheck', async () => {
+		let res = await fetch(url + '/healthcheck');
+		assert.equal(res.status, 200);
+	});
+
+	it('returns ICE servers and CORS headers on OPTIONS', async () => {
+		server.createEndpoint({ id: 'test', room: 1234 });
+		let res = await fetch(url + '/endpoint/test', {
+			method: 'OPTIONS',
+			headers: { origin: 'https://example.net' }
+		});
+		assert.equal(res.status, 204);
+		assert.equal(res.headers.get('access-control-allow-origin'), '*');
+		assert.match(res.headers.get('access-control-allow-methods'), /POST/);
+		assert.equal(res.headers.get('link'), '<stun:stun.example.net:3478>; rel="ice-server"');
+	});
+
+	it('publishes to the VideoRoom', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234, label: 'Publisher' });
+		let active = [];
+		endpoint.on('endpoint-active', rid => active.push(rid));
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+		assert.equal(res.headers.get('content-type'), 'application/sdp');
+		assert.equal(await res.text(), answer);
+		assert.match(res.headers.get('location'), /^\/whip\/resource\/\w+$/);
+		assert.match(res.headers.get('etag'), /^"\w+"$/);
+		assert.ok(res.headers.get('link'));
+		let handle = janus.handles[0];
+		assert.equal(handle.plugin.id, 'janus.plugin.videoroom');
+		let request = handle.requests.find(r => r.name === 'joinConfigurePublisher');
+		assert.equal(request.params.room, 1234);
+		assert.equal(request.params.display, 'Publisher');
+		assert.equal(request.params.jsep.type, 'offer');
+		assert.ok(endpoint.enabled);
+		assert.deepEqual(active, [ res.headers.get('location').split('/').pop() ]);
+	});
+
+	it('publishes to the AudioBridge', async () => {
+		server.createEndpoint({ id: 'test', plugin: 'audiobridge', room: 1234 });
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+		let handle = janus.handles[0];
+		assert.equal(handle.plugin.id, 'janus.plugin.audiobridge');
+		assert.deepEqual(handle.requests.map(r => r.name), [ 'join', 'configure' ]);
+	});
+
+	it('reports the files publishers are recorded to', async () => {
+		let sdp = [
+			'v=0',
+			'o=- 1 1 IN IP4 127.0.0.1',
+			's=-',
+			't=0 0',
+			'a=group:BUNDLE 0 2',
+			'a=ice-ufrag:client',
+			'a=ice-pwd:clientpwd',
+			'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+			'a=mid:0',
+			'a=rtpmap:111 opus/48000/2',
+			'm=video 0 UDP/TLS/RTP/SAVPF 96',
+			'a=mid:1',
+			'm=video 9 UDP/TLS/RTP/SAVPF 96',
+			'a=mid:2',
+			'a=rtpmap:96 VP8/90000',
+			''
+		].join('\r\n');
+		let videoroom = server.createEndpoint({ id: 'video', room: 1234, record: true, filename: '/recordings/{endpoint}' });
+		let res = await publish(url, 'video', { sdp: sdp });
+		let details = videoroom.sessions.get(res.headers.get('location').split('/').pop()).getDetails();
+		// Rejected m-lines are not recorded, but still count for the index
+		assert.deepEqual(details.recordings, [ '/recordings/video-audio-0.mjr', '/recordings/video-video-2.mjr' ]);
+		let audiobridge = server.createEndpoint({ id: 'audio', plugin: 'audiobridge', room: 1234, record: true, recordMix: true,
+			filename: '/recordings/{endpoint}' });
+		res = await publish(url, 'audio');
+		details = audiobridge.sessions.get(res.headers.get('location').split('/').pop()).getDetails();
+		assert.deepEqual(details.recordings, [ '/recordings/audio-audio.mjr', '/recordings/audio.wav' ]);
+	});
+
+	it('rejects invalid publish requests', async () => {
+		server.createEndpoint({ id: 'test', room: 1234 });
+		let res = await publish(url, 'unknown');
+		assert.equal(res.status, 404);
+		assert.equal(res.headers.get('content-type'), 'application/problem+json; charset=utf-8');
+		assert.deepEqual(await res.json(), {
+			type: 'tag:meetecho.com,2025:whip:endpoint-not-found',
+			title: 'Invalid endpoint ID',
+			status: 404
+		});
+		res = await publish(url, 'test', { headers: { 'content-type': 'text/plain' } });
+		assert.equal(res.status, 415);
+		assert.equal(res.headers.get('accept-post'), 'application/sdp');
+		res = await publish(url, 'test', { sdp: 'v=0\r\n' });
+		assert.equal(res.status, 400);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:invalid-offer');
+		assert.equal(janus.handles.length, 0);
+	});
+
+	it('only allows one publisher by default', async () => {
+		server.createEndpoint({ id: 'test', room: 1234 });
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+		res = await publish(url, 'test');
+		assert.equal(res.status, 409);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:endpoint-in-use');
+	});
+
+	it('returns an error and cleans up if Janus fails', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234 });
+		janus.fail('joinConfigurePublisher', new Error('490 Something went wrong'));
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 502);
+		assert.deepEqual(await res.json(), {
+			type: 'tag:meetecho.com,2025:whip:janus-error',
+			title: 'Janus error',
+			status: 502,
+			detail: '490 Something went wrong'
+		});
+		assert.equal(endpoint.sessions.size, 0);
+		assert.equal(server.resources.size, 0);
+		assert.ok(janus.handles[0].detached);
+		// The endpoint can be used again
+		res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+	});
+
+	it('maps plugin errors to the right status', async () => {
+		const errors = [
+			[ 'videoroom', 'joinConfigurePublisher', '426 No such room (1234)', 404, 'room-not-found' ],
+			[ 'videoroom', 'joinConfigurePublisher', '433 Unauthorized (wrong pin)', 403, 'room-unauthorized' ],
+			[ 'videoroom', 'joinConfigurePublisher', '432 Maximum number of publishers (3) already reached', 409, 'room-full' ],
+			[ 'videoroom', 'joinConfigurePublisher', '465 Invalid SDP', 422, 'offer-rejected' ],
+			[ 'audiobridge', 'join', '485 No such room (1234)', 404, 'room-not-found' ],
+			[ 'audiobridge', 'join', '487 Unauthorized (wrong pin)', 403, 'room-unauthorized' ],
+			[ 'audiobridge', 'join', '491 User ID 1 already exists', 409, 'publisher-conflict' ],
+			[ 'audiobridge', 'join', '493 Error processing SDP', 422, 'offer-rejected' ],
+			[ 'audiobridge', 'join', '486 Room 1234 already exists', 502, 'janus-error' ],
+			[ 'recordplay', 'record', '426 No such room (1234)', 502, 'janus-error' ],
+			[ 'videoroom', 'joinConfigurePublisher', 'handle detached', 500, 'internal-error' ]
+		];
+		for(let [ plugin, request, error, status, type ] of errors) {
+			let id = server.generateRandomString(8);
+			server.createEndpoint({ id: id, plugin: plugin, room: 1234 });
+			janus.fail(request, new Error(error));
+			let res = await publish(url, id);
+			assert.equal(res.status, status, error);
+			assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:' + type);
+		}
+	});
+
+	it('rejects offers that violate the SDP policy', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, sdpPolicy: { requireVideo: true } });
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 422);
+		let problem = await res.json();
+		assert.equal(problem.type, 'tag:meetecho.com,2025:whip:offer-rejected');
+		assert.ok(problem.detail);
+		assert.equal(janus.handles.length, 0);
+	});
+
+	it('caps the bitrate where RFC 8866 expects the bandwidth lines', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, sdpPolicy: { maxBitrate: 500 } });
+		// The audio section has no c= line, the video one has i= and c= lines
+		let sdp = [
+			'v=0',
+			'o=- 1 1 IN IP4 127.0.0.1',
+			's=-',
+			'c=IN IP4 0.0.0.0',
+			't=0 0',
+			'a=group:BUNDLE 0 1',
+			'a=ice-ufrag:client',
+			'a=ice-pwd:clientpwd',
+			'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+			'a=mid:0',
+			'a=sendonly',
+			'a=rtpmap:111 opus/48000/2',
+			'm=video 9 UDP/TLS/RTP/SAVPF 96',
+			'i=Camera',
+			'c=IN IP4 0.0.0.0',
+			'b=AS:300',
+			'a=mid:1',
+			'a=sendonly',
+			'a=rtpmap:96 VP8/90000',
+			''
+		].join('\r\n');
+		let res = await publish(url, 'test', { sdp: sdp });
+		assert.equal(res.status, 201);
+		let request = janus.handles[0].requests.find(r => r.name === 'joinConfigurePublisher');
+		let lines = request.params.jsep.sdp.split('\r\n');
+		let audio = lines.indexOf('m=audio 9 UDP/TLS/RTP/SAVPF 111');
+		assert.deepEqual(lines.slice(audio, audio + 4), [ 'm=audio 9 UDP/TLS/RTP/SAVPF 111', 'b=AS:500', 'b=TIAS:500000', 'a=mid:0' ]);
+		let video = lines.indexOf('m=video 9 UDP/TLS/RTP/SAVPF 96');
+		assert.deepEqual(lines.slice(video, video + 6), [ 'm=video 9 UDP/TLS/RTP/SAVPF 96', 'i=Camera', 'c=IN IP4 0.0.0.0', 'b=AS:300', 'b=TIAS:300000', 'a=mid:1' ]);
+		assert.equal(lines.slice(0, audio).filter(l => l.indexOf('b=') === 0).length, 0);
+	});
+
+	it('rejects unsupported methods', async () => {
+		server.createEndpoint({ id: 'test', room: 1234 });
+		let res = await fetch(url + '/endpoint/test');
+		assert.equal(res.status, 405);
+		assert.equal(res.headers.get('allow'), 'OPTIONS, POST');
+		res = await fetch(url + '/endpoint/test', { method: 'PUT' });
+		assert.equal(res.status, 405);
+		res = await publish(url, 'test');
+		let resource = resourceUrl(url, res);
+		for(let method of [ 'GET', 'POST', 'PUT' ]) {
+			res = await fetch(resource, { method: method });
+			assert.equal(res.status, 405);
+			assert.equal(res.headers.get('allow'), 'PATCH, DELETE');
+		}
+	});
+});
+
+describe('WHIP authentication', () => {
+	let server, url;
+
+	beforeEach(async () => {
+		({ server, url } = await startServer());
+	});
+
+	afterEach(async () => {
+		await server.destroy({ timeout: 1 });
+	});
+
+	it('requires the endpoint token', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, token: 'verysecret' });
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 403);
+		res = await publish(url, 'test', { token: 'wrong' });
+		assert.equal(res.status, 403);
+		res = await publish(url, 'test', { token: 'verysecret' });
+		assert.equal(res.status, 201);
+	});
+
+	it('supports callback tokens', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, token: async token => token.startsWith('good') });
+		let res = await publish(url, 'test', { token: 'bad' });
+		assert.equal(res.status, 403);
+		res = await publish(url, 'test', { token: 'good-token' });
+		assert.equal(res.status, 201);
+	});
+
+	it('requires the same token on the resource', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, token: 'verysecret' });
+		let res = await publish(url, 'test', { token: 'verysecret' });
+		let resource = resourceUrl(url, res);
+		res = await fetch(resource, { method: 'DELETE' });
+		assert.equal(res.status, 403);
+		res = await fetch(resource, { method: 'DELETE', headers: { authorization: 'Bearer wrong' } });
+		assert.equal(res.status, 403);
+		res = await fetch(resource, { method: 'DELETE', headers: { authorization: 'Bearer verysecret' } });
+		assert.equal(res.status, 200);
+	});
+
+	it('only returns ICE servers to authorized clients', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, token: 'verysecret', iceServers: [ { uri: 'stun:stun.example.net' } ] });
+		let res = await fetch(url + '/endpoint/test', { method: 'OPTIONS' });
+		assert.equal(res.status, 204);
+		assert.equal(res.headers.get('link'), null);
+		res = await fetch(url + '/endpoint/test', { method: 'OPTIONS', headers: { authorization: 'Bearer verysecret' } });
+		assert.equal(res.status, 204);
+		assert.ok(res.headers.get('link'));
+	});
+});
+
+describe('WHIP ICE servers', () => {
+	let server, url;
+
+	// Parse the ICE servers advertised in the Link headers
+	const links = (res) => Array.from((res.headers.get('link') || '').matchAll(
+		/<([^>]+)>; rel="ice-server"(?:; username="([^"]+)"; credential="([^"]+)"; credential-type="password")?/g))
+		.map(([ , uri, username, credential ]) => ({ uri, username, credential }));
+	const hmac = (secret, username) => crypto.createHmac('sha1', secret).update(username).digest('base64');
+	const now = () => Math.floor(Date.now() / 1000);
+
+	beforeEach(async () => {
+		({ server, url } = await startServer({ iceServers: [
+			{ uri: 'stun:stun.example.net', secret: 'ignored' },
+			{ uri: 'turn:turn.example.net', username: 'static', credential: 'staticpwd' },
+			{ uri: 'turns:turn.example.net', secret: 'turnsecret' }
+		] }));
+	});
+
+	afterEach(async () => {
+		await server.destroy({ timeout: 1 });
+	});
+
+	it('generates ephemeral TURN credentials with a shared secret', async () => {
+		server.createEndpoint({ id: 'test', room: 1234 });
+		let before = now();
+		let [ stun, turn, turns ] = links(await fetch(url + '/endpoint/test', { method: 'OPTIONS' }));
+		assert.deepEqual(stun, { uri: 'stun:stun.example.net', username: undefined, credential: undefined });
+		assert.deepEqual(turn, { uri: 'turn:turn.example.net', username: 'static', credential: 'staticpwd' });
+		// The username is the expiry time and the endpoint ID, one day from now by default
+		let [ expiry, user ] = turns.username.split(':');
+		assert.equal(user, 'test');
+		assert.ok(parseInt(expiry) >= before + 86400 && parseInt(expiry) <= now() + 86400, expiry);
+		assert.equal(turns.credential, hmac('turnsecret', turns.username));
+		// The same credentials are returned when publishing
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+		assert.equal(links(res)[2].credential, hmac('turnsecret', links(res)[2].username));
+	});
+
+	it('uses the ttl and username of the endpoint ICE servers', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, iceServers: [ { uri: 'turn:turn.example.net', username: 'alice', secret: 'othersecret', ttl: 600 } ] });
+		let before = now();
+		let [ turn ] = links(await fetch(url + '/endpoint/test', { method: 'OPTIONS' }));
+		assert.match(turn.username, /^[0-9]+:alice$/);
+		let expiry = parseInt(turn.username.split(':')[0]);
+		assert.ok(expiry >= before + 600 && expiry <= now() + 600, String(expiry));
+		assert.equal(turn.credential, hmac('othersecret', turn.username));
+		assert.notEqual(turn.credential, hmac('turnsecret', turn.username));
+		assert.throws(() => server.createEndpoint({ id: 'other', room: 1234, iceServers: [ { uri: 'turn:turn.example.net', secret: 'othersecret', ttl: 0 } ] }),
+			/"ttl" must be a positive number/);
+	});
+
+	it('never returns the secrets in the endpoint details', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234, iceServers: [
+			{ uri: 'turn:turn.example.net', username: 'alice', secret: 'othersecret', ttl: 600 },
+			{ uri: 'turn:turn.example.net', username: 'static', credential: 'staticpwd' }
+		] });
+		await publish(url, 'test');
+		let details = endpoint.getDetails();
+		assert.deepEqual(JSON.parse(JSON.stringify(details.iceServers)), [
+			{ uri: 'turn:turn.example.net', username: 'alice', ttl: 600 },
+			{ uri: 'turn:turn.example.net', username: 'static', credential: 'staticpwd' }
+		]);
+		assert.ok(!JSON.stringify(details).includes('othersecret'));
+		// The settings of the endpoint are left untouched
+		assert.equal(endpoint.iceServers[0].secret, 'othersecret');
+	});
+});
+
+describe('WHIP rate limits', () => {
+	let server, url;
+
+	// Check we got a 429, and return the Retry-After value
+	const limited = async (res) => {
+		assert.equal(res.status, 429);
+		assert.equal((await res.json()).type, 'tag:meetecho.com,2025:whip:too-many-requests');
+		let retryAfter = parseInt(res.headers.get('retry-after'));
+		assert.ok(retryAfter >= 1, String(retryAfter));
+		return retryAfter;
+	};
+
+	afterEach(async () => {
+		await server.destroy({ timeout: 1 });
+	});
+
+	it('limits the requests from the same address', async () => {
+		({ server, url } = await startServer({ rateLimit: { ip: { max: 3, window: 0.5 } } }));
+		server.createEndpoint({ id: 'test', room: 1234 });
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+		assert.equal((await fetch(url + '/endpoint/test', { method: 'OPTIONS' })).status, 204);
+		// Requests on resources count too, while other requests don't
+		assert.equal((await fetch(resourceUrl(url, res), { method: 'DELETE' })).status, 200);
+		assert.equal((await fetch(url + '/healthcheck')).status, 200);
+		assert.equal(await limited(await publish(url, 'test')), 1);
+		await limited(await fetch(url + '/endpoint/test', { method: 'OPTIONS' }));
+		// Once the window expires, requests are served again
+		await new Promise(resolve => setTimeout(resolve, 600));
+		assert.equal((await publish(url, 'test')).status, 201);
+	});
+
+	it('limits the publish attempts on the same endpoint', async () => {
+		({ server, url } = await startServer({ rateLimit: { endpoint: { max: 2, window: 60 } } }));
+		server.createEndpoint({ id: 'test', room: 1234, maxSessions: 5 });
+		server.createEndpoint({ id: 'other', room: 1234 });
+		assert.equal((await publish(url, 'test')).status, 201);
+		assert.equal((await publish(url, 'test')).status, 201);
+		// Preflights aren't publish attempts
+		assert.equal((await fetch(url + '/endpoint/test', { method: 'OPTIONS' })).status, 204);
+		let retryAfter = await limited(await publish(url, 'test'));
+		assert.ok(retryAfter <= 60, String(retryAfter));
+		assert.equal(server.getEndpoint({ id: 'test' }).sessions.size, 2);
+		assert.equal((await publish(url, 'other')).status, 201);
+	});
+
+	it('locks addresses out after too many authorization failures', async () => {
+		({ server, url } = await startServer({ rateLimit: { lockout: { failures: 3, window: 60, duration: 30 } } }));
+		server.createEndpoint({ id: 'test', room: 1234, token: 'verysecret' });
+		// CORS preflights never carry credentials, so they're not failures
+		for(let i = 0; i < 5; i++) {
+			let res = await fetch(url + '/endpoint/test', { method: 'OPTIONS', headers: { authorization: 'Bearer wrong' } });
+			assert.equal(res.status, 204);
+		}
+		let res = await publish(url, 'test', { token: 'verysecret' });
+		assert.equal(res.status, 201);
+		assert.equal((await fetch(resourceUrl(url, res), { method: 'DELETE', headers: { authorization: 'Bearer verysecret' } })).status, 200);
+		for(let i = 0; i < 3; i++)
+			assert.equal((await publish(url, 'test', { token: 'wrong' })).status, 403);
+		// Even the right token is rejected now
+		let retryAfter = await limited(await publish(url, 'test', { token: 'verysecret' }));
+		assert.ok(retryAfter > 25 && retryAfter <= 30, String(retryAfter));
+		await limited(await fetch(url + '/endpoint/test', { method: 'OPTIONS' }));
+	});
+});
+
+describe('WHIP resources', () => {
+	let server, url;
+
+	const trickle = (resource, fragment, etag) => fetch(resource, {
+		method: 'PATCH',
+		headers: {
+			'content-type': 'application/trickle-ice-sdpfrag',
+			'if-match': etag
+		},
+		body: fragment
+	});
+
+	beforeEach(async () => {
+		({ server, url } = await startServer({ strictETags: true }));
+		server.createEndpoint({ id: 'test', room: 1234 });
+	});
+
+	afterEach(async () => {
+		if(server.started)
+			await server.destroy({ timeout: 1 });
+	});
+
+	it('trickles candidates', async () => {
+		let res = await publish(url, 'test');
+		let resource = resourceUrl(url, res);
+		let etag = res.headers.get('etag');
+		let fragment = 'a=ice-ufrag:client\r\na=ice-pwd:clientpwd\r\nm=audio 9 RTP/AVP 0\r\na=mid:0\r\n' +
+			'a=candidate:1 1 udp 2013266431 192.168.1.2 50000 typ host\r\na=end-of-candidates\r\n';
+		res = await trickle(resource, fragment, etag);
+		assert.equal(res.status, 204);
+		let request = janus.handles[0].requests.find(r => r.name === 'trickle');
+		assert.deepEqual(request.params, [
+			{ sdpMLineIndex: 0, candidate: 'candidate:1 1 udp 2013266431 192.168.1.2 50000 typ host' },
+			{ completed: true }
+		]);
+	});
+
+	it('checks ETags', async () => {
+		let res = await publish(url, 'test');
+		let resource = resourceUrl(url, res);
+		res = await trickle(resource, 'a=end-of-candidates\r\n', '"wrong"');
+		assert.equal(res.status, 412);
+		res = await fetch(resource, { method: 'PATCH', headers: { 'content-type': 'text/plain' }, body: 'test' });
+		assert.equal(res.status, 412);
+	});
+
+	it('performs ICE restarts', async () => {
+		let res = await publish(url, 'test');
+		let resource = resourceUrl(url, res);
+		let etag = res.headers.get('etag');
+		let fragment = 'a=ice-ufrag:restart\r\na=ice-pwd:restartpwd\r\nm=audio 9 RTP/AVP 0\r\na=mid:0\r\n';
+		res = await trickle(resource, fragment, '"*"');
+		assert.equal(res.status, 200);
+		assert.equal(res.headers.get('content-type'), 'application/trickle-ice-sdpfrag');
+		assert.notEqual(res.headers.get('etag'), etag);
+		let payload = await res.text();
+		assert.match(payload, /a=ice-ufrag:janus\r\n/);
+		assert.match(payload, /a=candidate:/);
+		let request = janus.handles[0].requests.find(r => r.name === 'configure');
+		assert.match(request.params.jsep.sdp, /a=ice-ufrag:restart\r\n/);
+		assert.match(request.params.jsep.sdp, /a=ice-pwd:restartpwd\r\n/);
+	});
+
+	it('rejects trickle when disabled', async () => {
+		await server.destroy({ timeout: 1 });
+		({ server, url } = await startServer({ allowTrickle: false }));
+		server.createEndpoint({ id: 'test', room: 1234 });
+		let res = await publish(url, 'test');
+		res = await trickle(resourceUrl(url, res), 'a=end-of-candidates\r\n', res.headers.get('etag'));
+		assert.equal(res.status, 405);
+	});
+
+	it('tears down sessions on DELETE', async () => {
+		let endpoint = server.getEndpoint({ id: 'test' });
+		let inactive = [];
+		server.on('endpoint-inactive', (id, rid, reason) => inactive.push({ id, rid, reason }));
+		let res = await publish(url, 'test');
+		let resource = resourceUrl(url, res);
+		res = await fetch(resource, { method: 'DELETE' });
+		assert.equal(res.status, 200);
+		assert.ok(janus.handles[0].detached);
+		assert.equal(endpoint.enabled, false);
+		assert.deepEqual(inactive, [ { id: 'test', rid: resource.split('/').pop(), reason: 'deleted' } ]);
+		res = await fetch(resource, { method: 'DELETE' });
+		assert.equal(res.status, 404);
+		// The endpoint can be published to again
+		res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+	});
+
+	it('tears down sessions when Janus detaches the handle', async () => {
+		let endpoint = server.getEndpoint({ id: 'test' });
+		let reasons = [];
+		endpoint.on('endpoint-inactive', (_rid, reason) => reasons.push(reason));
+		let res = await publish(url, 'test');
+		let resource = resourceUrl(url, res);
+		let handle = janus.handles[0];
+		handle.detached = true;
+		handle.emit('handle_detached', { id: handle.id });
+		await new Promise(resolve => setImmediate(resolve));
+		assert.deepEqual(reasons, [ 'detached' ]);
+		assert.equal(server.resources.size, 0);
+		res = await fetch(resource, { method: 'DELETE' });
+		assert.equal(res.status, 404);
+	});
+
+	it('tears down sessions and stops accepting publishers on shutdown', async () => {
+		let reasons = [];
+		server.on('endpoint-inactive', (_id, _rid, reason) => reasons.push(reason));
+		// Listeners of the application are not affected by the shutdown
+		let drained = () => {};
+		server.on('requests-drained', drained);
+		await publish(url, 'test');
+		// Keep a publish request pending while we shut down
+		let authorized = null;
+		server.createEndpoint({ id: 'slow', room: 1234, authorize: () => new Promise(resolve => { authorized = resolve; }) });
+		let pending = publish(url, 'slow');
+		while(!authorized)
+			await new Promise(resolve => setImmediate(resolve));
+		let stopped = server.destroy({ timeout: 5, retryAfter: 3 });
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 503);
+		assert.equal(res.headers.get('retry-after'), '3');
+		res = await fetch(url + '/healthcheck');
+		assert.equal(res.status, 503);
+		authorized(true);
+		res = await pending;
+		assert.equal(res.status, 201);
+		await stopped;
+		assert.deepEqual(reasons, [ 'shutdown', 'shutdown' ]);
+		assert.deepEqual(server.listeners('requests-drained'), [ drained ]);
+		assert.ok(janus.handles[0].detached);
+		assert.ok(janus.connections[0].closed);
+		assert.equal(server.server, null);
+	});
+});
+
+describe('WHIP rooms', () => {
+	let server, url;
+
+	const requests = (name) => janus.handles.flatMap(h => h.requests.filter(r => r.name === name));
+
+	beforeEach(async () => {
+		({ server, url } = await startServer());
+	});
+
+	afterEach(async () => {
+		if(server.started)
+			await server.destroy({ timeout: 1 });
+	});
+
+	it('creates rooms on demand', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, secret: 'adminpwd', maxSessions: 2,
+			label: 'Test', createRoom: { max_publishers: 6, videocodec: 'vp8,h264', room: 5678 } });
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+		assert.ok(janus.rooms.has('janus.plugin.videoroom/1234'));
+		assert.deepEqual(requests('create')[0].params, {
+			description: 'Test', max_publishers: 6, videocodec: 'vp8,h264',
+			room: 1234, secret: 'adminpwd', pin: undefined, admin_key: undefined
+		});
+		// Rooms that exist already are left alone
+		res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+		assert.equal(requests('create').length, 1);
+		assert.equal(requests('exists').length, 2);
+	});
+
+	it('destroys rooms when the last session ends', async () => {
+		server.createEndpoint({ id: 'test', plugin: 'audiobridge', room: 1234, maxSessions: 2,
+			createRoom: true, destroyRoom: 'last-session' });
+		let first = resourceUrl(url, await publish(url, 'test'));
+		let second = resourceUrl(url, await publish(url, 'test'));
+		assert.ok(janus.rooms.has('janus.plugin.audiobridge/1234'));
+		await fetch(first, { method: 'DELETE' });
+		assert.equal(requests('destroy').length, 0);
+		await fetch(second, { method: 'DELETE' });
+		assert.deepEqual(requests('destroy').map(r => r.params), [ { room: 1234, secret: undefined } ]);
+		assert.equal(janus.rooms.size, 0);
+		// The room is created again by the next publisher
+		await publish(url, 'test');
+		assert.ok(janus.rooms.has('janus.plugin.audiobridge/1234'));
+	});
+
+	it('destroys rooms with the endpoint', async () => {
+		janus.rooms.add('janus.plugin.videoroom/1111');
+		server.createEndpoint({ id: 'test', room: 1234, createRoom: true, destroyRoom: 'endpoint' });
+		server.createEndpoint({ id: 'existing', room: 1111, createRoom: true, destroyRoom: 'endpoint' });
+		let resource = resourceUrl(url, await publish(url, 'test'));
+		await publish(url, 'existing');
+		await fetch(resource, { method: 'DELETE' });
+		assert.ok(janus.rooms.has('janus.plugin.videoroom/1234'));
+		await server.destroyEndpoint({ id: 'test' });
+		await server.destroyEndpoint({ id: 'existing' });
+		// Rooms we didn't create are never destroyed
+		assert.deepEqual(Array.from(janus.rooms), [ 'janus.plugin.videoroom/1111' ]);
+	});
+
+	it('fails the publish request if the room can\'t be created', async () => {
+		server.createEndpoint({ id: 'test', room: 1234, createRoom: true });
+		janus.fail('create');
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 500);
+		assert.equal(server.getEndpoint({ id: 'test' }).sessions.size, 0);
+	});
+
+	it('validates the room settings', () => {
+		assert.throws(() => server.createEndpoint({ id: 'a', room: 1234, createRoom: 'yes' }), /Invalid createRoom/);
+		assert.throws(() => server.createEndpoint({ id: 'b', room: 1234, destroyRoom: 'endpoint' }), /Can't destroy rooms/);
+		assert.throws(() => server.createEndpoint({ id: 'c', room: 1234, createRoom: true, destroyRoom: 'never' }), /Invalid destroyRoom/);
+		assert.throws(() => server.createEndpoint({ id: 'd', plugin: 'recordplay', createRoom: true }), /Room creation not supported/);
+	});
+});
+
+describe('WHIP plugin adapters', () => {
+	let server, url;
+
+	// Minimal adapter for a custom plugin, keeping track of what it's asked to do
+	class CustomAdapter extends JanusWhipPlugin {
+		constructor() {
+			super({ plugin: { id: 'janus.plugin.custom' } });
+			this.calls = [];
+		}
+		validate({ pluginOptions }) {
+			if(!pluginOptions || !pluginOptions.mountpoint)
+				throw new Error('Missing mountpoint');
+		}
+		async publish(context) {
+			this.calls.push([ 'publish', context ]);
+			await context.handle.message({ request: 'publish', mountpoint: context.settings.pluginOptions.mountpoint });
+			return { jsep: { type: 'answer', sdp: answer } };
+		}
+		async teardown(context) {
+			this.calls.push([ 'teardown', context ]);
+		}
+	}
+
+	beforeEach(async () => {
+		({ server, url } = await startServer());
+	});
+
+	afterEach(async () => {
+		await server.destroy({ timeout: 1 });
+	});
+
+	it('only registers valid adapters', () => {
+		assert.throws(() => server.registerPlugin('', new CustomAdapter()), /Invalid plugin name/);
+		assert.throws(() => server.registerPlugin('custom', { publish: async () => {} }), /not a JanusWhipPlugin instance/);
+		assert.throws(() => server.registerPlugin('videoroom', new CustomAdapter()), /Plugin already registered/);
+		assert.throws(() => server.createEndpoint({ id: 'test', plugin: 'custom', pluginOptions: { mountpoint: 1 } }), /Unsupported plugin/);
+	});
+
+	it('publishes through a custom adapter', async () => {
+		let adapter = new CustomAdapter();
+		server.registerPlugin('custom', adapter);
+		assert.throws(() => server.createEndpoint({ id: 'test', plugin: 'custom' }), /Missing mountpoint/);
+		// Features the adapter doesn't support are rejected
+		assert.throws(() => server.createEndpoint({ id: 'test', plugin: 'custom', pluginOptions: { mountpoint: 1 }, maxSessions: 2 }),
+			/Multiple sessions not supported by plugin custom/);
+		assert.throws(() => server.createEndpoint({ id: 'test', plugin: 'custom', pluginOptions: { mountpoint: 1 }, record: true }),
+			/Recording not supported by plugin custom/);
+		let pluginOptions = { mountpoint: 1234, extra: { codec: 'opus' } };
+		let endpoint = server.createEndpoint({ id: 'test', plugin: 'custom', pluginOptions: pluginOptions });
+		let res = await publish(url, 'test');
+		assert.equal(res.status, 201);
+		assert.equal(await res.text(), answer);
+		let handle = janus.handles[0];
+		assert.equal(handle.plugin.id, 'janus.plugin.custom');
+		assert.deepEqual(handle.requests.map(r => [ r.name, r.params.mountpoint ]), [ [ 'publish', 1234 ] ]);
+		// The adapter gets the endpoint settings, including the plugin options
+		let [ [ call, context ] ] = adapter.calls;
+		assert.equal(call, 'publish');
+		assert.equal(context.server, server);
+		assert.equal(context.endpoint, endpoint);
+		assert.equal(context.handle, handle);
+		assert.equal(context.session, endpoint.sessions.get(res.headers.get('location').split('/').pop()));
+		assert.deepEqual(context.settings.pluginOptions, pluginOptions);
+		assert.equal(context.jsep.type, 'offer');
+		assert.equal(context.jsep.sdp, offer);
+		await fetch(resourceUrl(url, res), { method: 'DELETE' });
+		assert.deepEqual(adapter.calls.map(c => c[0]), [ 'publish', 'teardown' ]);
+		assert.equal(adapter.calls[1][1].handle, handle);
+		assert.ok(handle.detached);
+	});
+
+	it('passes a copy of the plugin options to customize callbacks', async () => {
+		let adapter = new CustomAdapter();
+		server.registerPlugin('custom', adapter);
+		let pluginOptions = { mountpoint: 1234, extra: { codec: 'opus' } };
+		server.createEndpoint({ id: 'test', plugin: 'custom', pluginOptions: pluginOptions,
+			customize: (settings) => {
+				settings.pluginOptions.mountpoint = 5678;
+				settings.pluginOptions.extra.codec = 'pcmu';
+			} });
+		assert.equal((await publish(url, 'test')).status, 201);
+		assert.deepEqual(adapter.calls[0][1].settings.pluginOptions, { mountpoint: 5678, extra: { codec: 'pcmu' } });
+		assert.equal(janus.handles[0].requests[0].params.mountpoint, 5678);
+		assert.deepEqual(pluginOptions, { mountpoint: 1234, extra: { codec: 'opus' } });
+	});
+});
+
+describe('WHIP endpoint resolution', () => {
+	let server, url, lookups;
+
+	// Stream keys we know about, as if they were in a database
+	const keys = {
+		studio: { room: 1234, token: 'verysecret' },
+		guest: { plugin: 'audiobridge', room: 5678, transient: true },
+		broken: { room: 1234, maxSessions: -1 }
+	};
+
+	beforeEach(async () => {
+		lookups = [];
+		({ server, url } = await startServer({
+			iceServers: [ { uri: 'stun:stun.example.net:3478' } ],
+			resolveEndpoint: async (id, request) => {
+				lookups.push({ id: id, method: request.method });
+				if(id === 'offline')
+					throw Object.assign(new Error('Database unavailable'), { status: 503 });
+				return keys[id];
+			}
+		}));
+	});
+
+	afterEach(async () => {
+		if(server.started)
+			await server.destroy({ timeout: 1 });
+	});
+
+	it('creates endpoints for unknown IDs', async () => {
+		let res = await fetch(url + '/endpoint/studio', {
+			method: 'OPTIONS',
+			headers: { authorization: 'Bearer verysecret' }
+		});
+		assert.equal(res.status, 204);
+		assert.match(res.headers.get('link'), /stun\.example\.net/);
+		let endpoint = server.getEndpoint({ id: 'studio' });
+		assert.equal(endpoint.room, 1234);
+		assert.equal(endpoint.transient, false);
+		res = await publish(url, 'studio');
+		assert.equal(res.status, 403);
+		res = await publish(url, 'studio', { token: 'verysecret' });
+		assert.equal(res.status, 201);
+		// The callback is only invoked for endpoints that don't exist
+		assert.deepEqual(lookups, [ { id: 'studio', method: 'OPTIONS' } ]);
+		await fetch(resourceUrl(url, res), { method: 'DELETE' });
+		assert.equal(server.getEndpoint({ id: 'studio' }), endpoint);
+	});
+
+	it('destroys transient endpoints when their session ends', async () => {
+		let res = await fetch(url + '/endpoint/guest', { method: 'OPTIONS' });
+		assert.equal(res.status, 204);
+		// Nothing is using the endpoint, so it's not kept around
+		assert.equal(server.getEndpoint({ id: 'guest' }), undefined);
+		let responses = await Promise.all([ publish(url, 'guest'), publish(url, 'guest') ]);
+		assert.deepEqual(responses.map(r => r.status).sort(), [ 201, 409 ]);
+		assert.equal(lookups.length, 2);
+		let endpoint = server.getEndpoint({ id: 'guest' });
+		assert.equal(endpoint.plugin, 'audiobridge');
+		assert.equal(endpoint.getDetails().transient, true);
+		let resource = resourceUrl(url, responses.find(r => r.status === 201));
+		res = await fetch(resource, { method: 'DELETE' });
+		assert.equal(res.status, 200);
+		assert.equal(server.getEndpoint({ id: 'guest' }), undefined);
+	});
+
+	it('returns an error if the endpoint can\'t be resolved', async () => {
+		let res = await publish(url, 'unknown');
+		assert.equal(res.status, 404);
+		res = await publish(url, 'offline');
+		assert.equal(res.status, 503);
+		assert.deepEqual(await res.json(), {
+			type: 'about:blank',
+			title: 'Service Unavailable',
+			status: 503,
+			detail: 'Database unavailable'
+		});
+		res = await publish(url, 'broken');
+		assert.equal(res.status, 500);
+		res = await fetch(url + '/endpoint/offline', { method: 'OPTIONS' });
+		assert.equal(res.status, 204);
+		assert.equal(res.headers.get('link'), null);
+		assert.deepEqual(server.listEndpoints(), []);
+	});
+});
+
+describe('WHIP session limits', () => {
+	let server, url;
+
+	const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+	beforeEach(async () => {
+		({ server, url } = await startServer());
+	});
+
+	afterEach(async () => {
+		if(server.started)
+			await server.destroy({ timeout: 1 });
+	});
+
+	it('tears down sessions that reach their maximum duration', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234, maxDuration: 0.1 });
+		let inactive = once(endpoint, 'endpoint-inactive');
+		let res = await publish(url, 'test');
+		let [ rid, reason ] = await inactive;
+		assert.equal(rid, res.headers.get('location').split('/').pop());
+		assert.equal(reason, 'max-duration');
+		assert.ok(janus.handles[0].detached);
+		assert.equal(endpoint.sessions.size, 0);
+	});
+
+	it('terminates sessions on demand, preserving the endpoint', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234 });
+		let events = [];
+		server.on('endpoint-inactive', (id, rid, reason) => events.push([ id, rid, reason ]));
+		let rid = (await publish(url, 'test')).headers.get('location').split('/').pop();
+		for(let reason of [ '', 'not valid', 'kicked!', 'x'.repeat(65), 42 ])
+			await assert.rejects(server.terminateSession({ id: rid, reason: reason }), /Invalid reason/);
+		await assert.rejects(server.terminateSession({ id: 'unknown' }), /Invalid resource ID/);
+		assert.equal(endpoint.sessions.size, 1);
+		assert.ok(!janus.handles[0].detached);
+		await server.terminateSession({ id: rid, reason: 'kicked_by-admin' });
+		assert.deepEqual(events, [ [ 'test', rid, 'kicked_by-admin' ] ]);
+		assert.ok(janus.handles[0].detached);
+		assert.equal(endpoint.sessions.size, 0);
+		assert.equal(server.getEndpoint({ id: 'test' }), endpoint);
+		// The reason is optional, and the endpoint can be published to again
+		rid = (await publish(url, 'test')).headers.get('location').split('/').pop();
+		await server.terminateSession({ id: rid });
+		assert.equal(events[1][2], 'terminated');
+		assert.equal((await publish(url, 'test')).status, 201);
+	});
+
+	it('tears down sessions that stop receiving media', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234, idleTimeout: 0.3 });
+		let reasons = [];
+		endpoint.on('endpoint-inactive', (_rid, reason) => reasons.push(reason));
+		await publish(url, 'test');
+		let handle = janus.handles[0];
+		handle.emit('handle_webrtcup', {});
+		// Simulcast substreams are notified separately
+		for(let substream of [ 0, 1, 2 ])
+			handle.emit('handle_media', { type: 'video', mid: '0', substream: substream, receiving: true });
+		await sleep(400);
+		assert.equal(endpoint.sessions.size, 1);
+		// Losing the higher layers is not enough to be considered idle
+		handle.emit('handle_media', { type: 'video', mid: '0', substream: 2, receiving: false });
+		handle.emit('handle_media', { type: 'video', mid: '0', substream: 1, receiving: false });
+		await sleep(400);
+		assert.equal(endpoint.sessions.size, 1);
+		// The idle timer is stopped if media comes back in time
+		handle.emit('handle_media', { type: 'video', mid: '0', substream: 0, receiving: false });
+		await sleep(100);
+		handle.emit('handle_media', { type: 'video', mid: '0', substream: 0, receiving: true });
+		await sleep(400);
+		assert.equal(endpoint.sessions.size, 1);
+		handle.emit('handle_media', { type: 'video', mid: '0', substream: 0, receiving: false });
+		await sleep(400);
+		assert.equal(endpoint.sessions.size, 0);
+		assert.deepEqual(reasons, [ 'idle-timeout' ]);
+	});
+});
+
+describe('WHIP logging', () => {
+	let server, url;
+
+	afterEach(async () => {
+		await server.destroy({ timeout: 1 });
+		mock.restoreAll();
+	});
+
+	it('prints JSON records with the request and session fields', async () => {
+		let records = [];
+		mock.method(console, 'log', (line) => records.push(JSON.parse(line)));
+		({ server, url } = await startServer({ logger: undefined, logFormat: 'json', debug: 'verb' }));
+		server.createEndpoint({ id: 'test', room: 1234 });
+		let res = await publish(url, 'test', { headers: { 'x-request-id': 'req-1234' } });
+		assert.equal(res.headers.get('x-request-id'), 'req-1234');
+		let rid = res.headers.get('location').split('/').pop();
+		let record = records.find(r => r.msg === 'Publishing to WHIP endpoint');
+		assert.equal(record.level, 'info');
+		assert.ok(!isNaN(Date.parse(record.time)));
+		assert.equal(record.endpoint, 'test');
+		assert.equal(record.plugin, 'videoroom');
+		assert.equal(record.request, 'req-1234');
+		assert.equal(record.resource, rid);
+		// Fields learned along the way are added to the following records
+		record = records.find(r => r.msg === 'Using Janus backend ws://127.0.0.1:8188');
+		assert.equal(record.level, 'verb');
+		assert.equal(record.janusHandle, undefined);
+		await fetch(resourceUrl(url, res), { method: 'DELETE', headers: { 'x-request-id': 'req-5678' } });
+		record = records.find(r => r.msg === '/resource/: test ' + rid);
+		assert.equal(record.request, 'req-5678');
+		assert.equal(record.resource, rid);
+		assert.equal(record.backend, 'ws://127.0.0.1:8188');
+		assert.equal(record.janusHandle, janus.handles[0].id);
+		// Errors are added as a field, and request IDs are generated if missing or too long
+		janus.fail('joinConfigurePublisher', new Error('Fake failure'));
+		res = await publish(url, 'test', { headers: { 'x-request-id': 'x'.repeat(65) } });
+		assert.equal(res.status, 500);
+		let requestId = res.headers.get('x-request-id');
+		assert.match(requestId, /^[A-Za-z0-9]{12}$/);
+		record = records.find(r => r.msg === 'Error publishing:');
+		assert.equal(record.level, 'err');
+		assert.equal(record.request, requestId);
+		assert.equal(record.error.message, 'Fake failure');
+		assert.match(record.error.stack, /^Error: Fake failure/);
+	});
+
+	it('logs through an external logger', async () => {
+		let records = [];
+		let logger = {};
+		for(let method of [ 'error', 'warn', 'info', 'debug' ])
+			logger[method] = (fields, message) => records.push({ method, fields, message });
+		({ server, url } = await startServer({ logger: logger, debug: 'verb' }));
+		server.createEndpoint({ id: 'test', room: 1234 });
+		let res = await publish(url, 'test', { headers: { 'x-request-id': 'req-1234' } });
+		let rid = res.headers.get('location').split('/').pop();
+		let record = records.find(r => r.message === 'Publishing to WHIP endpoint');
+		assert.equal(record.method, 'info');
+		assert.deepEqual(record.fields, { endpoint: 'test', plugin: 'videoroom', request: 'req-1234', resource: rid });
+		// Verbose messages are logged as debug, and the debug level still applies
+		assert.equal(records.find(r => r.message === '/endpoint/: test').method, 'debug');
+		assert.equal(records.find(r => r.message === offer), undefined);
+		// Winston loggers get the message first
+		await server.destroy({ timeout: 1 });
+		records = [];
+		logger.transports = [];
+		({ server, url } = await startServer({ logger: logger }));
+		server.createEndpoint({ id: 'test', room: 1234 });
+		await publish(url, 'test');
+		record = records.find(r => r.fields === 'Publishing to WHIP endpoint');
+		assert.equal(record.method, 'info');
+		assert.equal(record.message.endpoint, 'test');
+	});
+});
+
+describe('WHIP metrics', () => {
+	let server, url;
+
+	beforeEach(async () => {
+		({ server, url } = await startServer({ rest: { metrics: true } }));
+	});
+
+	afterEach(async () => {
+		if(server.started)
+			await server.destroy({ timeout: 1 });
+	});
+
+	it('labels sessions ended by destroyEndpoint with the endpoint plugin', async () => {
+		server.createEndpoint({ id: 'test', plugin: 'audiobridge', room: 1234 });
+		await publish(url, 'test');
+		let destroying = server.destroyEndpoint({ id: 'test' });
+		// New requests and destroy calls ignore the endpoint in the meanwhile
+		await assert.rejects(server.destroyEndpoint({ id: 'test' }), /Invalid endpoint ID/);
+		assert.equal((await publish(url, 'test')).status, 404);
+		await destroying;
+		assert.equal(server.getEndpoint({ id: 'test' }), undefined);
+		let metrics = await (await fetch(url + '/metrics')).text();
+		assert.match(metrics, /^whip_sessions_ended_total\{plugin="audiobridge",reason="endpoint-destroyed"\} 1$/m);
+	});
+
+	it('labels requests with the path they were sent to', async () => {
+		server.createEndpoint({ id: 'test', room: 1234 });
+		let res = await publish(url, 'test');
+		await fetch(resourceUrl(url, res), { method: 'DELETE' });
+		let metrics = await (await fetch(url + '/metrics')).text();
+		assert.match(metrics, /^whip_requests_total\{method="POST",path="endpoint",status="201"\} 1$/m);
+		assert.match(metrics, /^whip_requests_total\{method="DELETE",path="resource",status="200"\} 1$/m);
+	});
+});
+
+describe('VideoRoom forwarders', () => {
+	let server, url;
+
+	const recipient = {
+		host: 'fd00::5',
+		hostFamily: 'ipv6',
+		audioPort: 5002,
+		videoPort: 5004,
+		srtpSuite: 80,
+		srtpCrypto: 'WbTBosdVUZqEb6Htqhn+m3z7wUh4RJVR8nE15GbN'
+	};
+
+	beforeEach(async () => {
+		({ server, url } = await startServer());
+	});
+
+	afterEach(async () => {
+		if(server.started)
+			await server.destroy({ timeout: 1 });
+	});
+
+	it('sends SRTP and host family settings Janode doesn\'t support', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234, secret: 'roomsecret', recipients: [ recipient ] });
+		await publish(url, 'test');
+		let handle = janus.handles[0];
+		let session = Array.from(endpoint.sessions.values())[0];
+		assert.deepEqual(handle.requests.map(r => r.name), [ 'joinConfigurePublisher', 'rtp_forward' ]);
+		let body = handle.requests[1].params;
+		assert.equal(body.publisher_id, session.feed);
+		assert.equal(body.host, 'fd00::5');
+		assert.equal(body.host_family, 'ipv6');
+		assert.equal(body.audio_port, 5002);
+		assert.equal(body.video_port, 5004);
+		assert.equal(body.srtp_suite, 80);
+		assert.equal(body.srtp_crypto, recipient.srtpCrypto);
+		assert.equal(body.secret, 'roomsecret');
+		// The streams of the forwarders Janus returned are tracked, to stop them later
+		let [ forwarder ] = session.forwarders.values();
+		assert.equal(forwarder.streams.length, 2);
+		await endpoint.removeForwarder({ id: forwarder.id });
+		assert.deepEqual(handle.requests.filter(r => r.name === 'stopForward').map(r => r.params.stream), forwarder.streams);
+	});
+
+	it('doesn\'t forward multiple publishers to the same recipients', async () => {
+		assert.throws(() => server.createEndpoint({ id: 'test', room: 1234, maxSessions: 2, recipients: [ recipient ] }),
+			/Can't forward multiple VideoRoom publishers to the same recipients/);
+		server.createEndpoint({ id: 'test', room: 1234, recipients: [ recipient ] });
+		await assert.rejects(server.updateEndpoint({ id: 'test', maxSessions: 2 }), /Can't forward multiple/);
+		// The AudioBridge forwards the mix, which is the same for all publishers
+		server.createEndpoint({ id: 'mix', plugin: 'audiobridge', room: 1234, maxSessions: 2, recipients: [ { host: '10.0.0.5', audioPort: 5002 } ] });
+	});
+
+	it('uses the Janode request for plain forwarders', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234 });
+		let res = await publish(url, 'test');
+		await endpoint.addForwarder({ resource: res.headers.get('location').split('/').pop(), recipient: { host: '10.0.0.5', audioPort: 5002 } });
+		assert.deepEqual(janus.handles[0].requests.map(r => r.name), [ 'joinConfigurePublisher', 'startForward' ]);
+		// Errors in our own requests are returned as in Janode ones
+		janus.fail('rtp_forward', new Error('456 Invalid element (host_family)'));
+		await assert.rejects(endpoint.addForwarder({ resource: res.headers.get('location').split('/').pop(),
+			recipient: { host: '10.0.0.5', hostFamily: 'ipv4', streams: [ { mid: '0', port: 5002 } ] } }), /456 Invalid element/);
+	});
+});
+
+describe('AudioBridge forwarders', () => {
+	let server, url;
+
+	const requests = (name) => janus.handles.flatMap(h => h.requests.filter(r => r.name === name));
+	const detach = async (handle) => {
+		handle.detached = true;
+		handle.emit('handle_detached', { id: handle.id });
+		// Give the teardown time to complete
+		for(let i = 0; i < 10; i++)
+			await new Promise(resolve => setImmediate(resolve));
+	};
+
+	beforeEach(async () => {
+		({ server, url } = await startServer());
+		server.createEndpoint({ id: 'test', plugin: 'audiobridge', room: 1234, maxSessions: 2, recordMix: true,
+			recipients: [ { host: '10.0.0.5', audioPort: 5002 } ] });
+	});
+
+	afterEach(async () => {
+		if(server.started)
+			await server.destroy({ timeout: 1 });
+	});
+
+	it('stops forwarders and the mix recording when the handle goes away', async () => {
+		await publish(url, 'test');
+		assert.equal(requests('startForward').length, 1);
+		await detach(janus.handles[0]);
+		// A temporary handle is used, as the one of the session is gone
+		assert.equal(janus.handles.length, 2);
+		assert.deepEqual(janus.handles[1].requests.map(r => r.name), [ 'stopForward', 'enableRecording', 'detach' ]);
+		assert.equal(janus.handles[1].requests[1].params.record, false);
+	});
+
+	it('hands forwarders over to the other publishers in the room', async () => {
+		let endpoint = server.getEndpoint({ id: 'test' });
+		await publish(url, 'test');
+		let res = await publish(url, 'test');
+		await detach(janus.handles[0]);
+		assert.equal(requests('stopForward').length, 0);
+		let heir = endpoint.sessions.get(res.headers.get('location').split('/').pop());
+		assert.equal(heir.forwarders.size, 1);
+		await fetch(resourceUrl(url, res), { method: 'DELETE' });
+		assert.equal(requests('stopForward').length, 1);
+	});
+
+	it('stops forwarders after reconnecting, if the connection was lost', async () => {
+		await publish(url, 'test');
+		let reconnected = once(server, 'janus-reconnected');
+		janus.connections[0].disconnect();
+		await reconnected;
+		for(let i = 0; i < 10; i++)
+			await new Promise(resolve => setImmediate(resolve));
+		assert.equal(requests('stopForward').length, 1);
+		assert.equal(janus.handles[1].session.connection, janus.connections[1]);
+	});
+});
+
+describe('WHIP endpoint updates', () => {
+	let server, url;
+
+	beforeEach(async () => {
+		({ server, url } = await startServer());
+	});
+
+	afterEach(async () => {
+		if(server.started)
+			await server.destroy({ timeout: 1 });
+	});
+
+	it('applies label changes to active VideoRoom publishers', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234, label: 'Old' });
+		await publish(url, 'test');
+		await server.updateEndpoint({ id: 'test', label: 'New', updateSessions: true });
+		assert.deepEqual(janus.handles[0].requests.at(-1), { name: 'configure', params: { display: 'New' } });
+		assert.equal(Array.from(endpoint.sessions.values())[0].label, 'New');
+	});
+
+	it('moves active AudioBridge publishers to a different room', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', plugin: 'audiobridge', room: 1234, pin: 'roompin', label: 'Old',
+			recipients: [ { host: '10.0.0.5', audioPort: 5002 } ] });
+		await publish(url, 'test');
+		let handle = janus.handles[0];
+		let session = Array.from(endpoint.sessions.values())[0];
+		await server.updateEndpoint({ id: 'test', room: 4321, label: 'New', updateSessions: true });
+		// Janode has no changeroom request, so our handle sends it, and parses the roomchanged event
+		assert.deepEqual(handle.requests.slice(2).map(r => r.name), [ 'startForward', 'changeroom', 'stopForward', 'startForward' ]);
+		assert.deepEqual(handle.requests[3].params, { request: 'changeroom', room: 4321, pin: 'roompin', display: 'New' });
+		assert.equal(handle.room, 4321);
+		assert.equal(session.room, 4321);
+		assert.equal(session.label, 'New');
+		assert.equal(handle.requests[4].params.room, 1234);
+		assert.equal(handle.requests[5].params.room, 4321);
+		assert.equal(session.forwarders.size, 1);
+		// Errors are reported, and the session stays where it was
+		janus.fail('changeroom', new Error('485 No such room (1111)'));
+		await server.updateEndpoint({ id: 'test', room: 1111, updateSessions: true });
+		assert.equal(session.room, 4321);
+		assert.equal(handle.room, 4321);
+	});
+
+	it('validates webhooks and stops retrying the ones that were replaced', async () => {
+		assert.throws(() => server.createEndpoint({ id: 'a', room: 1234, webhooks: { url: 'http://127.0.0.1/hook', backoff: '1s' } }),
+			/"backoff" must be a non-negative number/);
+		assert.throws(() => server.createEndpoint({ id: 'b', room: 1234, webhooks: { url: 'http://127.0.0.1/hook', timeout: 0 } }),
+			/"timeout" must be a positive number/);
+		let requests = 0;
+		let receiver = http.createServer((req, res) => {
+			requests++;
+			req.resume();
+			res.writeHead(503).end();
+		});
+		receiver.listen(0, '127.0.0.1');
+		await once(receiver, 'listening');
+		let hook = 'http://127.0.0.1:' + receiver.address().port + '/hook';
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234, webhooks: { url: hook, events: [ 'session-started' ], backoff: 60000 } });
+		let webhook = endpoint.webhooks[0];
+		await publish(url, 'test');
+		// Wait for the notification to fail, and a retry to be scheduled
+		for(let i = 0; i < 100 && webhook.timers.size === 0; i++)
+			await new Promise(resolve => setTimeout(resolve, 10));
+		assert.equal(webhook.timers.size, 1);
+		await server.updateEndpoint({ id: 'test', webhooks: { url: hook, events: [ 'session-ended' ] } });
+		assert.notEqual(endpoint.webhooks[0], webhook);
+		assert.equal(webhook.timers.size, 0);
+		assert.equal(requests, 1);
+		receiver.closeAllConnections();
+		receiver.close();
+	});
+
+	it('refuses to move active VideoRoom publishers to a different room', async () => {
+		let endpoint = server.createEndpoint({ id: 'test', room: 1234 });
+		await publish(url, 'test');
+		await assert.rejects(server.updateEndpoint({ id: 'test', room: 4321, updateSessions: true }),
+			/Moving active sessions to a different room not supported by plugin videoroom/);
+		// Nothing was changed
+		assert.equal(endpoint.room, 1234);
+		assert.equal(Array.from(endpoint.sessions.values())[0].room, 1234);
+		// Without updateSessions the new room only applies to new publishers
+		await server.updateEndpoint({ id: 'test', room: 4321 });
+		assert.equal(endpoint.room, 4321);
+		assert.equal(Array.from(endpoint.sessions.values())[0].room, 1234);
+	});
+});